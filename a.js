@@ -1,5 +1,5 @@
-import { debounce } from './utils/helpers.js';
-import { API_BASE_URL } from './utils/constants.js';
+import { debounce, generateId } from './utils/helpers.js';
+import { API_BASE_URL, STORAGE_KEYS } from './utils/constants.js';
 
 class ImmutableStateManager {
     constructor() {
@@ -8,16 +8,29 @@ class ImmutableStateManager {
             videos: new Map(),
             likedVideos: new Set(),
             savedVideos: new Set(),
+            followedUsers: new Set(),
             currentMediaIndexes: new Map(),
             online: navigator.onLine,
             pendingActions: [],
+            scheduledPosts: [],
             cache: new Map(),
+            nextCursor: null,
+            hasMore: true,
+            isLoadingMore: false,
+            incomingVideos: new Map(),
+            comments: new Map(),
             ui: {
                 theme: 'dark',
                 language: 'tr',
                 videoQuality: 'auto',
                 autoplay: true,
-                notifications: true
+                muted: true,
+                playbackRate: 1,
+                captions: 'auto',
+                pictureInPicture: false,
+                backgroundPlayback: false,
+                notifications: true,
+                telemetry: false
             }
         });
 
@@ -25,11 +38,16 @@ class ImmutableStateManager {
         this.cacheTimeout = 30000;
         this.history = [];
         this.maxHistoryLength = 50;
-        this.isMutating = false;
+        this.updateQueue = Promise.resolve();
+        this.pageSize = 10;
+        this.commentPageSize = 20;
     }
 
     async init() {
         await this.loadFromStorage();
+        await this.pruneScheduledPosts().catch(error => {
+            console.warn('Scheduled post prune failed:', error);
+        });
         this.setupStorageSync();
         this.setupConnectivityMonitoring();
     }
@@ -39,13 +57,13 @@ class ImmutableStateManager {
     }
 
     setState(updater) {
-        if (this.isMutating) {
-            console.warn('State mutation already in progress');
-            return Promise.resolve();
-        }
-
-        this.isMutating = true;
+        // Updates are applied one at a time, in call order, so concurrent callers never drop each other's changes
+        const applyUpdate = () => this.applyState(updater);
+        this.updateQueue = this.updateQueue.then(applyUpdate, applyUpdate);
+        return this.updateQueue;
+    }
 
+    applyState(updater) {
         return new Promise((resolve, reject) => {
             queueMicrotask(() => {
                 try {
@@ -53,15 +71,18 @@ class ImmutableStateManager {
                         ? updater(this._state) 
                         : updater;
 
-                    if (!this.validateState(newState)) {
-                        throw new Error('Invalid state structure');
-                    }
-
                     const previousState = this._state;
-                    this._state = Object.freeze({
+                    // Updates are partial, so the schema is checked against the state they produce
+                    const nextState = {
                         ...previousState,
                         ...newState
-                    });
+                    };
+
+                    if (!this.validateState(nextState)) {
+                        throw new Error('Invalid state structure');
+                    }
+
+                    this._state = Object.freeze(nextState);
 
                     this.history.push({
                         timestamp: Date.now(),
@@ -79,8 +100,6 @@ class ImmutableStateManager {
                     resolve(this._state);
                 } catch (error) {
                     reject(error);
-                } finally {
-                    this.isMutating = false;
                 }
             });
         });
@@ -92,6 +111,7 @@ class ImmutableStateManager {
             videos: ['object'],
             likedVideos: ['object'],
             savedVideos: ['object'],
+            followedUsers: ['object'],
             online: ['boolean'],
             ui: ['object']
         };
@@ -188,18 +208,20 @@ class ImmutableStateManager {
 
         const data = await fetcher();
         
-        this.setState(state => ({
+        await this.setState(state => ({
             cache: new Map(state.cache).set(cacheKey, {
                 data,
                 timestamp: now
             })
-        }));
+        })).catch(error => {
+            console.warn(`Cache update failed for ${key}:`, error);
+        });
 
         return data;
     }
 
     invalidateCache(pattern) {
-        this.setState(state => {
+        return this.setState(state => {
             const newCache = new Map(state.cache);
             Array.from(newCache.keys())
                 .filter(key => key.includes(pattern))
@@ -211,22 +233,111 @@ class ImmutableStateManager {
 
     async getVideos(forceRefresh = false) {
         if (forceRefresh) {
-            this.invalidateCache('videos');
+            await this.invalidateCache('videos');
         }
 
-        return this.getWithCache('videos', async () => {
+        const page = await this.getWithCache('videos', async () => {
             try {
-                const response = await this.apiRequest('/videos');
-                const videos = response.data.videos;
-                
-                const videoMap = new Map(videos.map(video => [video.id, video]));
-                
-                return videoMap;
+                return await this.fetchVideoPage();
             } catch (error) {
                 console.error('Video fetch error:', error);
-                return this.getDemoVideos();
+                return {
+                    videos: this.getDemoVideos(),
+                    nextCursor: null,
+                    hasMore: false
+                };
             }
         }, { ttl: 60000 });
+
+        if (forceRefresh || this.state.videos.size === 0) {
+            await this.setState({
+                videos: page.videos,
+                nextCursor: page.nextCursor,
+                hasMore: page.hasMore,
+                incomingVideos: new Map()
+            });
+        }
+
+        return this.state.videos;
+    }
+
+    async checkForNewVideos() {
+        const page = await this.fetchVideoPage();
+        const incoming = Array.from(page.videos)
+            .filter(([videoId]) => !this.state.videos.has(videoId));
+
+        if (incoming.length > 0) {
+            await this.setState(state => ({
+                incomingVideos: new Map([...incoming, ...state.incomingVideos])
+            }));
+        }
+
+        return this.state.incomingVideos;
+    }
+
+    async prependIncomingVideos() {
+        await this.setState(state => ({
+            videos: new Map([...state.incomingVideos, ...state.videos]),
+            incomingVideos: new Map()
+        }));
+
+        await this.invalidateCache('videos');
+    }
+
+    async loadMoreVideos() {
+        if (this.state.isLoadingMore || !this.state.hasMore) {
+            return this.state.videos;
+        }
+
+        await this.setState({ isLoadingMore: true });
+
+        try {
+            const page = await this.fetchVideoPage({
+                cursor: this.state.nextCursor,
+                offset: this.state.videos.size
+            });
+
+            await this.setState(state => {
+                const videos = new Map(state.videos);
+                page.videos.forEach((video, videoId) => {
+                    if (!videos.has(videoId)) {
+                        videos.set(videoId, video);
+                    }
+                });
+
+                return {
+                    videos,
+                    nextCursor: page.nextCursor,
+                    hasMore: page.hasMore && videos.size > state.videos.size,
+                    isLoadingMore: false
+                };
+            });
+        } catch (error) {
+            console.error('Load more videos error:', error);
+            await this.setState({ isLoadingMore: false });
+            throw error;
+        }
+
+        return this.state.videos;
+    }
+
+    async fetchVideoPage({ cursor = null, offset = 0 } = {}) {
+        const params = new URLSearchParams({ limit: String(this.pageSize) });
+
+        if (cursor) {
+            params.set('cursor', cursor);
+        } else if (offset > 0) {
+            params.set('offset', String(offset));
+        }
+
+        const response = await this.apiRequest(`/videos?${params}`);
+        const { videos, nextCursor = null, hasMore } = response.data;
+
+        return {
+            videos: new Map(videos.map(video => [video.id, video])),
+            nextCursor,
+            hasMore: hasMore ?? (nextCursor !== null || videos.length === this.pageSize)
+        };
     }
 
     getDemoVideos() {
@@ -234,12 +345,17 @@ class ImmutableStateManager {
             ['1', {
                 id: '1',
                 caption: 'Demo Video 1 - SocialFlow Platform Tanıtımı',
+                category: 'technology',
                 media: [
                     {
                         type: 'video',
                         url: 'https://demo.socialflow.com/videos/1.mp4',
                         thumbnail: 'https://demo.socialflow.com/thumbnails/1.jpg',
-                        duration: 30
+                        duration: 30,
+                        tracks: [
+                            { src: 'https://demo.socialflow.com/captions/1.tr.vtt', language: 'tr', label: 'Türkçe' },
+                            { src: 'https://demo.socialflow.com/captions/1.en.vtt', language: 'en', label: 'English' }
+                        ]
                     }
                 ],
                 user: {
@@ -255,6 +371,7 @@ class ImmutableStateManager {
             ['2', {
                 id: '2',
                 caption: 'Demo Video 2 - Harika İçerik Örneği',
+                category: 'art',
                 media: [
                     {
                         type: 'image',
@@ -275,12 +392,16 @@ class ImmutableStateManager {
             ['3', {
                 id: '3',
                 caption: 'Demo Video 3 - Çoklu Medya Galerisi',
+                category: 'travel',
                 media: [
                     {
                         type: 'video',
                         url: 'https://demo.socialflow.com/videos/3.mp4',
                         thumbnail: 'https://demo.socialflow.com/thumbnails/3.jpg',
-                        duration: 45
+                        duration: 45,
+                        tracks: [
+                            { src: 'https://demo.socialflow.com/captions/3.tr.vtt', language: 'tr', label: 'Türkçe' }
+                        ]
                     },
                     {
                         type: 'image',
@@ -393,6 +514,182 @@ class ImmutableStateManager {
         }
     }
 
+    async followUser(userId) {
+        return this.setFollowing(userId, true);
+    }
+
+    async unfollowUser(userId) {
+        return this.setFollowing(userId, false);
+    }
+
+    async setFollowing(userId, following) {
+        const previousFollowing = this.state.followedUsers.has(userId);
+        if (previousFollowing === following) return following;
+
+        await this.setState(state => ({
+            followedUsers: new Set(
+                following 
+                    ? [...state.followedUsers, userId]
+                    : Array.from(state.followedUsers).filter(id => id !== userId)
+            )
+        }));
+
+        try {
+            if (this.state.online) {
+                await this.apiRequest(`/users/${encodeURIComponent(userId)}/follow`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ following })
+                });
+            } else {
+                await this.queueAction('follow', { userId, following });
+            }
+
+            this.invalidateCache(`user_${userId}`);
+
+            return following;
+        } catch (error) {
+            await this.setState(state => ({
+                followedUsers: new Set(
+                    previousFollowing 
+                        ? [...state.followedUsers, userId]
+                        : Array.from(state.followedUsers).filter(id => id !== userId)
+                )
+            }));
+            
+            throw error;
+        }
+    }
+
+    async loadComments(videoId, { reset = false } = {}) {
+        const current = this.state.comments.get(videoId);
+
+        if (current?.isLoading || (!reset && current && !current.hasMore)) {
+            return current;
+        }
+
+        await this.setCommentThread(videoId, thread => ({
+            ...thread,
+            isLoading: true
+        }));
+
+        try {
+            const params = new URLSearchParams({ limit: String(this.commentPageSize) });
+            const cursor = reset ? null : current?.nextCursor;
+            if (cursor) {
+                params.set('cursor', cursor);
+            }
+
+            const response = await this.apiRequest(
+                `/videos/${encodeURIComponent(videoId)}/comments?${params}`
+            );
+            const { comments, nextCursor = null, hasMore } = response.data;
+
+            await this.setCommentThread(videoId, thread => {
+                // Locally posted comments that the server has not returned yet stay on top
+                const pending = reset ? thread.items.filter(comment => comment.pending) : [];
+                const existing = reset ? pending : thread.items;
+                const ids = new Set(existing.map(comment => comment.id));
+
+                return {
+                    items: [...existing, ...comments.filter(comment => !ids.has(comment.id))],
+                    nextCursor,
+                    hasMore: hasMore ?? nextCursor !== null,
+                    isLoading: false
+                };
+            });
+        } catch (error) {
+            console.error(`Comments fetch error for ${videoId}:`, error);
+            await this.setCommentThread(videoId, thread => ({
+                ...thread,
+                hasMore: false,
+                isLoading: false
+            }));
+        }
+
+        return this.state.comments.get(videoId);
+    }
+
+    async addComment(videoId, text, author) {
+        const tempId = `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const optimisticComment = {
+            id: tempId,
+            text,
+            user: author,
+            timestamp: Date.now(),
+            pending: true
+        };
+
+        await this.setCommentThread(videoId, thread => ({
+            ...thread,
+            items: [optimisticComment, ...thread.items]
+        }));
+        await this.updateCommentCount(videoId, 1);
+
+        try {
+            let comment = optimisticComment;
+
+            if (this.state.online) {
+                const response = await this.apiRequest(`/videos/${encodeURIComponent(videoId)}/comments`, {
+                    method: 'POST',
+                    body: JSON.stringify({ text })
+                });
+
+                comment = response.data.comment;
+                await this.replaceComment(videoId, tempId, comment);
+            } else {
+                await this.queueAction('comment', { videoId, text, tempId });
+            }
+
+            this.invalidateCache(`video_${videoId}`);
+
+            return comment;
+        } catch (error) {
+            await this.setCommentThread(videoId, thread => ({
+                ...thread,
+                items: thread.items.filter(comment => comment.id !== tempId)
+            }));
+            await this.updateCommentCount(videoId, -1);
+
+            throw error;
+        }
+    }
+
+    replaceComment(videoId, commentId, comment) {
+        return this.setCommentThread(videoId, thread => ({
+            ...thread,
+            items: thread.items.map(item => item.id === commentId ? comment : item)
+        }));
+    }
+
+    setCommentThread(videoId, updater) {
+        return this.setState(state => {
+            const thread = state.comments.get(videoId) || {
+                items: [],
+                nextCursor: null,
+                hasMore: true,
+                isLoading: false
+            };
+
+            return {
+                comments: new Map(state.comments).set(videoId, updater(thread))
+            };
+        });
+    }
+
+    updateCommentCount(videoId, delta) {
+        return this.setState(state => {
+            const video = state.videos.get(videoId);
+            if (!video) return {};
+
+            return {
+                videos: new Map(state.videos).set(videoId, {
+                    ...video,
+                    comments: Math.max(0, (video.comments || 0) + delta)
+                })
+            };
+        });
+    }
+
     queueAction(type, data) {
         const action = {
             type,
@@ -401,11 +698,9 @@ class ImmutableStateManager {
             id: Math.random().toString(36).substr(2, 9)
         };
 
-        this.setState(state => ({
+        return this.setState(state => ({
             pendingActions: [...state.pendingActions, action]
-        }));
-
-        this.saveToStorage('pendingActions', this.state.pendingActions);
+        })).then(() => this.saveToStorage('pendingActions', this.state.pendingActions));
     }
 
     async syncPendingActions() {
@@ -442,12 +737,42 @@ class ImmutableStateManager {
                     body: JSON.stringify({ saved: action.data.saved })
                 });
                 break;
+            case 'follow':
+                await this.apiRequest(`/users/${encodeURIComponent(action.data.userId)}/follow`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ following: action.data.following })
+                });
+                break;
+            case 'comment': {
+                const response = await this.apiRequest(`/videos/${encodeURIComponent(action.data.videoId)}/comments`, {
+                    method: 'POST',
+                    body: JSON.stringify({ text: action.data.text })
+                });
+
+                if (this.state.comments.has(action.data.videoId)) {
+                    await this.replaceComment(action.data.videoId, action.data.tempId, response.data.comment);
+                }
+                break;
+            }
+            case 'schedule':
+                await this.submitScheduledPost(action.data.postId);
+                break;
+            case 'schedule_update': {
+                const post = this.getScheduledPost(action.data.postId);
+                if (post?.videoId) {
+                    await this.sendScheduledPostUpdate(post);
+                }
+                break;
+            }
+            case 'schedule_cancel':
+                await this.apiRequest(`/videos/${encodeURIComponent(action.data.videoId)}`, { method: 'DELETE' });
+                break;
         }
     }
 
     async loadFromStorage() {
         try {
-            const storageKeys = ['user', 'likedVideos', 'savedVideos', 'currentMediaIndexes', 'ui'];
+            const storageKeys = ['user', 'likedVideos', 'savedVideos', 'followedUsers', 'currentMediaIndexes', 'ui', 'pendingActions', 'scheduledPosts'];
             const storageData = {};
             
             for (const key of storageKeys) {
@@ -458,7 +783,10 @@ class ImmutableStateManager {
                 user: storageData.user || state.user,
                 likedVideos: new Set(storageData.likedVideos || []),
                 savedVideos: new Set(storageData.savedVideos || []),
+                followedUsers: new Set(storageData.followedUsers || []),
                 currentMediaIndexes: new Map(Object.entries(storageData.currentMediaIndexes || {})),
+                pendingActions: storageData.pendingActions || state.pendingActions,
+                scheduledPosts: storageData.scheduledPosts || state.scheduledPosts,
                 ui: { ...state.ui, ...storageData.ui }
             }));
 
@@ -471,6 +799,7 @@ class ImmutableStateManager {
         await this.saveToStorage('user', this.state.user);
         await this.saveToStorage('likedVideos', Array.from(this.state.likedVideos));
         await this.saveToStorage('savedVideos', Array.from(this.state.savedVideos));
+        await this.saveToStorage('followedUsers', Array.from(this.state.followedUsers));
         await this.saveToStorage('currentMediaIndexes', 
             Object.fromEntries(this.state.currentMediaIndexes));
         await this.saveToStorage('ui', this.state.ui);
@@ -508,7 +837,8 @@ class ImmutableStateManager {
 
     setupStorageSync() {
         window.addEventListener('storage', (e) => {
-            if (e.key && e.key.startsWith('socialflow_')) {
+            // Telemetry batches are written often and are not part of the app state
+            if (e.key && e.key.startsWith('socialflow_') && e.key !== STORAGE_KEYS.TELEMETRY) {
                 this.loadFromStorage();
             }
         });
@@ -528,14 +858,234 @@ class ImmutableStateManager {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
 
-            return await response.json();
+            // Accepted writes such as 202 and 204 may come back without a body
+            const body = await response.text();
+            return body ? JSON.parse(body) : null;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    sendViewSessions(views, { keepalive = false } = {}) {
+        return this.apiRequest('/analytics/views', {
+            method: 'POST',
+            body: JSON.stringify({ views }),
+            keepalive
+        });
+    }
+
+    async getVideo(videoId, forceRefresh = false) {
+        if (forceRefresh) {
+            await this.invalidateCache(`video_${videoId}`);
+        }
+
+        return this.getWithCache(`video_${videoId}`, async () => {
+            try {
+                const response = await this.apiRequest(`/videos/${encodeURIComponent(videoId)}`);
+                return response.data.video;
+            } catch (error) {
+                console.error(`Video fetch error for ${videoId}:`, error);
+                return this.state.videos.get(videoId) || 
+                       this.getDemoVideos().get(videoId) || 
+                       null;
+            }
+        }, { ttl: 60000 });
+    }
+
+    async createPost({ caption, media }) {
+        const response = await this.apiRequest('/videos', {
+            method: 'POST',
+            body: JSON.stringify({ caption, media })
+        });
+        const video = response.data.video;
+
+        // The post exists on the server at this point, so a failed local update must not be reported as a failed post
+        try {
+            await this.setState(state => ({
+                videos: new Map([[video.id, video], ...state.videos])
+            }));
+
+            await this.invalidateCache('videos');
+        } catch (error) {
+            console.warn(`Local feed update failed for new post ${video.id}:`, error);
+        }
+
+        return video;
+    }
+
+    async schedulePost({ caption, media, publishAt }) {
+        const post = {
+            id: generateId(),
+            videoId: null,
+            caption,
+            media,
+            publishAt,
+            status: 'queued',
+            createdAt: Date.now()
+        };
+
+        await this.setScheduledPosts(posts => [...posts, post]);
+
+        if (this.state.online) {
+            try {
+                await this.submitScheduledPost(post.id);
+            } catch (error) {
+                console.warn('Scheduled post submit failed, queued for retry:', error);
+                await this.queueAction('schedule', { postId: post.id });
+            }
+        } else {
+            await this.queueAction('schedule', { postId: post.id });
+        }
+
+        return this.getScheduledPost(post.id);
+    }
+
+    async submitScheduledPost(postId) {
+        const post = this.getScheduledPost(postId);
+        if (!post || post.videoId) return post;
+
+        const response = await this.apiRequest('/videos', {
+            method: 'POST',
+            body: JSON.stringify({
+                caption: post.caption,
+                media: post.media,
+                publishAt: new Date(post.publishAt).toISOString()
+            })
+        });
+
+        await this.setScheduledPosts(posts => posts.map(item => 
+            item.id === postId 
+                ? { ...item, videoId: response.data.video.id, status: 'scheduled' } 
+                : item
+        ));
+
+        const submitted = this.getScheduledPost(postId);
+        await this.pruneScheduledPosts();
+
+        return submitted;
+    }
+
+    async updateScheduledPost(postId, changes) {
+        const previous = this.getScheduledPost(postId);
+        if (!previous) return null;
+
+        await this.setScheduledPosts(posts => posts.map(item => 
+            item.id === postId ? { ...item, ...changes } : item
+        ));
+
+        try {
+            // Posts that have not reached the server yet are sent with their latest values when the queue syncs
+            if (previous.videoId) {
+                if (this.state.online) {
+                    await this.sendScheduledPostUpdate(this.getScheduledPost(postId));
+                } else {
+                    await this.queueAction('schedule_update', { postId });
+                }
+            }
+
+            return this.getScheduledPost(postId);
         } catch (error) {
+            await this.setScheduledPosts(posts => posts.map(item => 
+                item.id === postId ? previous : item
+            ));
+
             throw error;
         }
     }
 
-    getVideo(videoId) {
-        return this.state.videos.get(videoId);
+    sendScheduledPostUpdate(post) {
+        return this.apiRequest(`/videos/${encodeURIComponent(post.videoId)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                caption: post.caption,
+                publishAt: new Date(post.publishAt).toISOString()
+            })
+        });
+    }
+
+    async cancelScheduledPost(postId) {
+        const previousPosts = this.state.scheduledPosts;
+        const post = this.getScheduledPost(postId);
+        if (!post) return;
+
+        await this.setScheduledPosts(posts => posts.filter(item => item.id !== postId));
+
+        try {
+            if (post.videoId) {
+                if (this.state.online) {
+                    await this.apiRequest(`/videos/${encodeURIComponent(post.videoId)}`, { method: 'DELETE' });
+                } else {
+                    await this.queueAction('schedule_cancel', { videoId: post.videoId });
+                }
+            }
+        } catch (error) {
+            await this.setScheduledPosts(() => previousPosts);
+            throw error;
+        }
+    }
+
+    getScheduledPost(postId) {
+        return this.state.scheduledPosts.find(post => post.id === postId) || null;
+    }
+
+    getUpcomingPosts() {
+        // Posts the server already holds are published once their time passes; queued ones still need sending
+        const now = Date.now();
+        return this.state.scheduledPosts
+            .filter(post => !post.videoId || post.publishAt > now)
+            .sort((a, b) => a.publishAt - b.publishAt);
+    }
+
+    pruneScheduledPosts() {
+        // Submitted posts are only tracked until the server publishes them
+        const now = Date.now();
+        const isPublished = (post) => post.videoId && post.publishAt <= now;
+
+        if (!this.state.scheduledPosts.some(isPublished)) {
+            return Promise.resolve();
+        }
+
+        return this.setScheduledPosts(posts => posts.filter(post => !isPublished(post)));
+    }
+
+    setScheduledPosts(updater) {
+        return this.setState(state => ({
+            scheduledPosts: updater(state.scheduledPosts)
+        })).then(() => this.saveToStorage('scheduledPosts', this.state.scheduledPosts));
+    }
+
+    async getUserProfile(userId, forceRefresh = false) {
+        if (forceRefresh) {
+            await this.invalidateCache(`user_${userId}`);
+        }
+
+        return this.getWithCache(`user_${userId}`, async () => {
+            try {
+                const response = await this.apiRequest(`/users/${encodeURIComponent(userId)}`);
+                return response.data.user;
+            } catch (error) {
+                console.error(`User fetch error for ${userId}:`, error);
+                const video = this.getKnownVideosByUser(userId)[0];
+                return video ? { ...video.user, followers: 0, following: 0 } : null;
+            }
+        }, { ttl: 60000 });
+    }
+
+    async getUserVideos(userId) {
+        return this.getWithCache(`user_videos_${userId}`, async () => {
+            try {
+                const response = await this.apiRequest(`/users/${encodeURIComponent(userId)}/videos`);
+                return new Map(response.data.videos.map(video => [video.id, video]));
+            } catch (error) {
+                console.error(`User videos fetch error for ${userId}:`, error);
+                return new Map(this.getKnownVideosByUser(userId).map(video => [video.id, video]));
+            }
+        }, { ttl: 60000 });
+    }
+
+    getKnownVideosByUser(userId) {
+        const videos = new Map([...this.getDemoVideos(), ...this.state.videos]);
+        return Array.from(videos.values()).filter(video => video.user?.id === userId);
     }
 
     isVideoLiked(videoId) {
@@ -546,8 +1096,12 @@ class ImmutableStateManager {
         return this.state.savedVideos.has(videoId);
     }
 
+    isUserFollowed(userId) {
+        return this.state.followedUsers.has(userId);
+    }
+
     updateUISettings(newSettings) {
-        this.setState(state => ({
+        return this.setState(state => ({
             ui: { ...state.ui, ...newSettings }
         }));
     }
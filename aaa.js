@@ -2,6 +2,15 @@ import { SecureAuthManager } from './auth-manager.js';
 import { ImmutableStateManager } from './state-manager.js';
 import { AdvancedVideoPlayer } from './video-player.js';
 import { ComprehensiveErrorBoundary } from './error-boundary.js';
+import { PersistentEventStore } from './event-store.js';
+import { HistoryRouter } from './router.js';
+import { VirtualFeed } from './virtual-feed.js';
+import { ResumableUploader } from './upload-manager.js';
+import { PosterGenerator } from './poster-generator.js';
+import { DraftStore } from './draft-store.js';
+import { PlaybackCoordinator } from './playback-coordinator.js';
+import { FeedPrefetcher } from './feed-prefetcher.js';
+import { TelemetryPipeline } from './telemetry.js';
 import { 
     formatCount, 
     formatTime, 
@@ -10,17 +19,64 @@ import {
     sanitizeHTML,
     escapeHTML,
     generateId,
-    isElementInViewport
+    formatFileSize,
+    formatDuration,
+    truncateText,
+    toDateTimeLocalValue,
+    urlBase64ToUint8Array
 } from './utils/helpers.js';
+import {
+    validateFileSize,
+    validateFileType,
+    validateVideoUrl,
+    validateImageUrl
+} from './utils/validators.js';
+import { 
+    API_BASE_URL,
+    ROUTES,
+    APP_NAME,
+    EXPLORE_CATEGORIES, 
+    VIDEO_QUALITIES, 
+    PLAYBACK_RATES,
+    SEEK_STEP_SECONDS,
+    LANGUAGES,
+    VAPID_PUBLIC_KEY,
+    COMMENT_MAX_LENGTH,
+    UPLOAD_LIMITS,
+    VIEW_TRACKING,
+    STORAGE_KEYS,
+    FEATURE_FLAGS
+} from './utils/constants.js';
 
 class SocialFlowApp {
     constructor() {
         this.stateManager = new ImmutableStateManager();
-        this.errorBoundary = new ComprehensiveErrorBoundary();
+        this.telemetry = new TelemetryPipeline({
+            endpoint: `${API_BASE_URL}/telemetry`,
+            storageKey: STORAGE_KEYS.TELEMETRY,
+            isEnabled: () => FEATURE_FLAGS.ANALYTICS && this.stateManager.getUISettings().telemetry
+        });
+        this.errorBoundary = new ComprehensiveErrorBoundary({ telemetry: this.telemetry });
         this.authManager = new SecureAuthManager();
+        this.eventStore = new PersistentEventStore();
+        this.uploader = new ResumableUploader();
+        this.posterGenerator = new PosterGenerator();
+        this.draftStore = new DraftStore();
+        this.router = new HistoryRouter([
+            { path: '/', page: ROUTES.HOME },
+            { path: '/explore', page: ROUTES.EXPLORE },
+            { path: '/profile', page: ROUTES.PROFILE },
+            { path: '/analytics', page: ROUTES.ANALYTICS },
+            { path: '/settings', page: ROUTES.SETTINGS },
+            { path: '/video/:id', page: ROUTES.VIDEO },
+            { path: '/user/:id', page: ROUTES.USER },
+            { path: '/upload', page: ROUTES.UPLOAD },
+            { path: '/scheduled', page: ROUTES.SCHEDULED }
+        ]);
         
         this.videoPlayers = new Map();
         this.currentPage = 'home';
+        this.routeParams = {};
         this.isInitialized = false;
         this.eventListeners = new Map();
         this.abortController = new AbortController();
@@ -31,10 +87,84 @@ class SocialFlowApp {
         };
 
         this.virtualScroll = {
-            container: null,
-            itemHeight: 300,
-            buffer: 5,
-            visibleItems: new Set()
+            feed: null,
+            sentinel: null,
+            sentinelObserver: null,
+            estimatedItemHeight: 600,
+            overscan: 2,
+            maxPooledPlayers: 6
+        };
+        this.playerPool = [];
+
+        this.feedRefresh = {
+            indicator: null,
+            banner: null,
+            pollInterval: 60000,
+            pollTimer: null,
+            pullThreshold: 70,
+            pullStartY: null,
+            pullDistance: 0,
+            isRefreshing: false
+        };
+
+        this.homeFeed = {
+            mode: 'forYou'
+        };
+
+        this.explore = {
+            query: '',
+            category: 'all'
+        };
+        this.profile = {
+            tab: 'liked'
+        };
+        this.detailPlayer = null;
+        this.detailVideo = null;
+        this.videoTap = {
+            video: null,
+            time: 0,
+            timer: null
+        };
+        this.seekFeedbackTimer = null;
+        this.mediaSession = {
+            player: null
+        };
+        this.playbackCoordinator = null;
+        this.feedPrefetcher = new FeedPrefetcher({
+            resolveSource: (media) => AdvancedVideoPlayer.selectSource(
+                media.sources,
+                media.url,
+                this.stateManager.getUISettings().videoQuality
+            ),
+            getQuality: () => this.stateManager.getUISettings().videoQuality
+        });
+        this.viewTracking = {
+            queue: [],
+            flushTimer: null,
+            isFlushing: false
+        };
+        this.lazyImageObserver = null;
+        this.creator = {
+            profile: null,
+            followedAtLoad: false
+        };
+
+        this.upload = {
+            files: [],
+            previewIndex: 0,
+            controller: null,
+            isUploading: false,
+            draftId: null
+        };
+        this.scheduleDraftSave = debounce(() => this.saveDraft(), 1000);
+        this.scheduled = {
+            editingId: null
+        };
+
+        this.commentsSheet = {
+            videoId: null,
+            observer: null,
+            returnFocus: null
         };
     }
 
@@ -47,9 +177,13 @@ class SocialFlowApp {
             
             await Promise.all([
                 this.stateManager.init(),
-                this.authManager.init()
+                this.authManager.init(),
+                this.eventStore.init(),
+                this.draftStore.init()
             ]);
+            this.telemetry.init();
             
+            this.setupRouter();
             this.setupEventListeners();
             this.setupPerformanceOptimizations();
             this.initializeUI();
@@ -92,29 +226,230 @@ class SocialFlowApp {
         });
     }
 
+    setupRouter() {
+        const route = this.router.init((route) => this.handleRoute(route));
+
+        this.currentPage = route.page;
+        this.routeParams = route.params;
+    }
+
     setupEventListeners() {
         const signal = this.abortController.signal;
 
-        this.addEventListener('click', '[data-page]', (e) => {
-            const page = e.currentTarget.dataset.page;
+        this.addEventListener('[data-page]', 'click', (e, element) => {
+            const page = element.dataset.page;
             this.switchPage(page);
         }, { signal });
 
-        this.addEventListener('click', '#themeToggle', () => {
+        this.addEventListener('#themeToggle', 'click', () => {
             this.toggleTheme();
         }, { signal });
 
-        this.addEventListener('click', '#demoLogin', () => {
+        this.addEventListener('#demoLogin', 'click', () => {
             this.authManager.enableDemoMode();
             this.initializeUI();
         }, { signal });
 
-        this.addEventListener('click', '[data-video-action]', (e) => {
-            const action = e.currentTarget.dataset.videoAction;
-            const videoId = e.currentTarget.dataset.videoId;
+        this.addEventListener('[data-video-action]', 'click', (e, element) => {
+            const action = element.dataset.videoAction;
+            const videoId = element.dataset.videoId;
             this.handleVideoAction(action, videoId);
         }, { signal });
 
+        this.addEventListener('[data-feed-mode]', 'click', (e, element) => {
+            this.setFeedMode(element.dataset.feedMode);
+        }, { signal });
+
+        this.addEventListener('[data-follow-user]', 'click', (e, element) => {
+            this.toggleFollow(element.dataset.followUser);
+        }, { signal });
+
+        this.addEventListener('#exploreSearch', 'input', debounce((e, element) => {
+            this.explore.query = element.value.trim();
+            this.renderExploreGrid();
+        }, 300), { signal });
+
+        this.addEventListener('[data-explore-category]', 'click', (e, element) => {
+            this.explore.category = element.dataset.exploreCategory;
+            this.renderExploreCategories();
+            this.renderExploreGrid();
+        }, { signal });
+
+        this.addEventListener('[data-open-video]', 'click', (e, element) => {
+            this.openVideo(element.dataset.openVideo);
+        }, { signal });
+
+        this.addEventListener('[data-profile-tab]', 'click', (e, element) => {
+            this.profile.tab = element.dataset.profileTab;
+            this.renderProfileTabs();
+        }, { signal });
+
+        this.addEventListener('[data-route-back]', 'click', () => {
+            this.router.back();
+        }, { signal });
+
+        this.addEventListener('[data-open-user]', 'click', (e, element) => {
+            this.openUser(element.dataset.openUser);
+        }, { signal });
+
+        this.addEventListener('#uploadFiles', 'change', (e, element) => {
+            this.addUploadFiles(element.files);
+            element.value = '';
+        }, { signal });
+
+        this.addEventListener('[data-upload-preview]', 'click', (e, element) => {
+            this.showUploadPreview(Number(element.dataset.uploadPreview));
+        }, { signal });
+
+        this.addEventListener('[data-upload-poster]', 'click', (e, element) => {
+            this.selectUploadPoster(Number(element.dataset.uploadPoster));
+        }, { signal });
+
+        this.addEventListener('[data-upload-remove]', 'click', (e, element) => {
+            this.removeUploadFile(Number(element.dataset.uploadRemove));
+        }, { signal });
+
+        this.addEventListener('#uploadForm', 'submit', (e, form) => {
+            e.preventDefault();
+            this.submitUpload(form);
+        }, { signal });
+
+        this.addEventListener('#uploadCancel', 'click', () => {
+            this.upload.controller?.abort();
+        }, { signal });
+
+        this.addEventListener('#uploadForm [name="caption"], #uploadForm [name="publishAt"]', 'input', () => {
+            this.scheduleDraftSave();
+        }, { signal });
+
+        this.addEventListener('[data-scheduled-edit]', 'click', (e, element) => {
+            this.scheduled.editingId = element.dataset.scheduledEdit;
+            this.renderScheduledPosts();
+        }, { signal });
+
+        this.addEventListener('[data-scheduled-edit-cancel]', 'click', () => {
+            this.scheduled.editingId = null;
+            this.renderScheduledPosts();
+        }, { signal });
+
+        this.addEventListener('.scheduled-edit-form', 'submit', (e, form) => {
+            e.preventDefault();
+            this.saveScheduledPost(form);
+        }, { signal });
+
+        this.addEventListener('[data-scheduled-cancel]', 'click', (e, element) => {
+            this.cancelScheduledPost(element.dataset.scheduledCancel);
+        }, { signal });
+
+        this.addEventListener('[data-draft-resume]', 'click', (e, element) => {
+            this.resumeDraft(element.dataset.draftResume);
+        }, { signal });
+
+        this.addEventListener('[data-draft-discard]', 'click', (e, element) => {
+            this.discardDraft(element.dataset.draftDiscard);
+        }, { signal });
+
+        this.addEventListener('[data-comments-close]', 'click', () => {
+            this.closeComments();
+        }, { signal });
+
+        this.addEventListener('#commentForm', 'submit', (e, form) => {
+            e.preventDefault();
+            this.submitComment(form);
+        }, { signal });
+
+        this.addEventListener('[data-quality-toggle]', 'click', (e, element) => {
+            this.toggleQualityMenu(element);
+        }, { signal });
+
+        this.addEventListener('[data-quality-option]', 'click', (e, element) => {
+            this.selectQuality(element);
+        }, { signal });
+
+        this.addEventListener(document, 'click', (e) => {
+            if (!e.target.closest('.quality-control, .captions-control')) {
+                this.closePlayerMenus();
+            }
+        }, { signal });
+
+        this.addEventListener(document, 'video:qualitychange', () => {
+            this.updateQualityLabels();
+        }, { signal });
+
+        this.addEventListener('[data-captions-toggle]', 'click', (e, element) => {
+            this.toggleCaptionsMenu(element);
+        }, { signal });
+
+        this.addEventListener('[data-caption-option]', 'click', (e, element) => {
+            this.selectCaptions(element);
+        }, { signal });
+
+        this.addEventListener(document, 'video:cuechange', (e) => {
+            this.renderCaption(e.target, e.detail.text);
+        }, { signal });
+
+        this.addEventListener('[data-playback]', 'click', (e, element) => {
+            this.handlePlaybackAction(element.dataset.playback, element);
+        }, { signal });
+
+        this.addEventListener('.media-item video', 'click', (e, element) => {
+            this.handleVideoTap(e, element);
+        }, { signal });
+
+        this.addEventListener('[data-seek-bar]', 'pointerdown', (e, element) => {
+            this.startSeekDrag(e, element);
+        }, { signal });
+
+        this.addEventListener('[data-seek-bar]', 'keydown', (e, element) => {
+            if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+
+            e.preventDefault();
+            this.getPlayerFor(element)?.seekBy(e.key === 'ArrowLeft' ? -SEEK_STEP_SECONDS : SEEK_STEP_SECONDS);
+        }, { signal });
+
+        this.addEventListener(document, 'video:playbackstate', (e) => {
+            this.updatePlaybackControls(e.target, e.detail);
+            this.handleActivePlayback(e.target, e.detail);
+        }, { signal });
+
+        this.addEventListener(document, 'video:pipchange', (e) => {
+            e.target.querySelector('[data-playback="pip"]')?.classList.toggle('active', e.detail.active);
+
+            // Feed items kept mounted for picture-in-picture are released once the window closes
+            if (!e.detail.active) {
+                this.virtualScroll.feed?.update();
+            }
+        }, { signal });
+
+        this.addEventListener(document, 'video:bufferprogress', (e) => {
+            const controls = e.target.querySelector('.playback-controls');
+            if (controls) {
+                this.renderBufferedRanges(controls, e.detail.ranges);
+            }
+        }, { signal });
+
+        this.addEventListener(document, 'keydown', (e) => {
+            if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+            if (this.currentPage !== 'home' || this.commentsSheet.videoId) return;
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            e.preventDefault();
+            this.navigateFeed(e.key === 'ArrowDown' ? 1 : -1, 'keyboard');
+        }, { signal });
+
+        this.addEventListener(document, 'keydown', (e) => {
+            if (e.key !== 'Escape') return;
+
+            this.closePlayerMenus();
+            if (this.commentsSheet.videoId) {
+                this.closeComments();
+            }
+        }, { signal });
+
+        this.addEventListener('[data-setting]', 'change', (e, element) => {
+            this.handleSettingChange(element);
+        }, { signal });
+
         this.addEventListener(document, 'visibilitychange', () => {
             this.handleVisibilityChange();
         }, { signal });
@@ -124,187 +459,2386 @@ class SocialFlowApp {
             { signal }
         );
 
+        this.addEventListener(window, 'pagehide', () => {
+            this.endViewSessions();
+            this.flushViewSessions({ keepalive: true });
+        }, { signal });
+
         this.stateManager.subscribe('videos', (videos) => {
             this.handleVideosUpdate(videos);
         });
 
+        this.stateManager.subscribe('followedUsers', () => {
+            this.updateFollowButtons();
+            this.updateFollowerCount();
+
+            if (this.currentPage === 'home' && this.homeFeed.mode === 'following') {
+                this.renderVideoFeed(this.stateManager.state.videos);
+            }
+        });
+
+        ['likedVideos', 'savedVideos'].forEach(key => {
+            this.stateManager.subscribe(key, async () => {
+                if (this.currentPage !== 'profile') return;
+
+                this.renderProfileTabs();
+                await this.resolveCollectionVideos();
+                if (this.currentPage === 'profile') {
+                    this.renderProfileTabs();
+                }
+            });
+        });
+
+        this.stateManager.subscribe('comments', () => {
+            if (this.commentsSheet.videoId) {
+                this.renderComments();
+            }
+        });
+
+        this.stateManager.subscribe('scheduledPosts', () => {
+            if (this.currentPage === 'scheduled') {
+                this.renderScheduledPosts();
+            }
+        });
+
+        this.stateManager.subscribe('incomingVideos', (incomingVideos) => {
+            this.updateNewVideosBanner(incomingVideos);
+        });
+
+        ['isLoadingMore', 'hasMore'].forEach(key => {
+            this.stateManager.subscribe(key, () => this.updateFeedSentinel());
+        });
+
+        this.stateManager.subscribe('ui', (ui, previousUI) => {
+            this.applyUISettings(ui, previousUI);
+        });
+
         this.stateManager.subscribe('online', (online) => {
             this.handleOnlineStatus(online);
         });
     }
 
-    addEventListener(target, event, handler, options = {}) {
-        const actualTarget = typeof target === 'string' ? 
-            document : target;
-        
-        actualTarget.addEventListener(event, handler, options);
-        
-        const key = `${event}_${handler.name}`;
-        if (!this.eventListeners.has(key)) {
-            this.eventListeners.set(key, []);
+    addEventListener(target, event, handler, options = {}) {
+        const actualTarget = typeof target === 'string' ? 
+            document : target;
+
+        // Selector targets are delegated from the document to the closest matching element
+        const listener = typeof target === 'string' ?
+            (e) => {
+                const element = e.target.closest?.(target);
+                if (element) handler(e, element);
+            } : handler;
+        
+        actualTarget.addEventListener(event, listener, options);
+        
+        const key = `${event}_${handler.name}`;
+        if (!this.eventListeners.has(key)) {
+            this.eventListeners.set(key, []);
+        }
+        this.eventListeners.get(key).push({ target: actualTarget, event, handler: listener });
+    }
+
+    setupPerformanceOptimizations() {
+        this.setupVirtualScrolling();
+        this.prefetchResources();
+        this.setupMemoryMonitoring();
+        this.setupViewTracking();
+    }
+
+    setupVirtualScrolling() {
+        const container = document.getElementById('videoFeed');
+        if (!container) return;
+
+        this.virtualScroll.feed = new VirtualFeed(container, {
+            estimatedItemHeight: this.virtualScroll.estimatedItemHeight,
+            overscan: this.virtualScroll.overscan,
+            renderItem: (video, index) => this.renderVideoItem(video, index),
+            updateItem: (element, video, index) => this.updateVideoItem(element, video, index),
+            onMount: (element) => {
+                this.attachVideoPlayer(element);
+                this.playbackCoordinator?.observe(element);
+            },
+            onUnmount: (element, video) => {
+                this.playbackCoordinator?.unobserve(element);
+                this.releaseVideoPlayer(video.id);
+            },
+            isRetained: (element) => !!this.videoPlayers.get(element.dataset.videoId)?.isInPictureInPicture()
+        });
+
+        this.playbackCoordinator = new PlaybackCoordinator(this.virtualScroll.feed, {
+            getPlayer: (element) => this.videoPlayers.get(element.dataset.videoId),
+            getPlayers: () => this.videoPlayers.values(),
+            shouldAutoplay: () => this.stateManager.getUISettings().autoplay &&
+                !document.hidden && this.currentPage === 'home',
+            onActiveChange: (element) => this.prefetchUpcoming(element)
+        });
+
+        this.setupFeedPagination(container);
+        this.setupFeedRefresh(container);
+        this.setupFeedSwipe(container);
+    }
+
+    prefetchUpcoming(element) {
+        const feed = this.virtualScroll.feed;
+        const count = element && this.stateManager.state.online ? this.feedPrefetcher.getPrefetchCount() : 0;
+        const videos = [];
+        let key = element?.dataset.videoId;
+
+        for (let i = 0; i < count && key; i++) {
+            key = feed.getAdjacentKey(key, 1);
+            const video = key && this.stateManager.state.videos.get(key);
+            if (video) {
+                videos.push(video);
+            }
+        }
+
+        this.feedPrefetcher.update(videos);
+    }
+
+    setupFeedSwipe(container) {
+        const signal = this.abortController.signal;
+        let start = null;
+
+        this.addEventListener(container, 'touchstart', (e) => {
+            const ignored = e.target.closest('.playback-controls, .quality-control, .gallery-controls');
+            start = e.touches.length === 1 && !ignored
+                ? { x: e.touches[0].clientX, y: e.touches[0].clientY, time: performance.now() }
+                : null;
+        }, { passive: true, signal });
+
+        this.addEventListener(container, 'touchend', (e) => {
+            if (!start) return;
+
+            const touch = e.changedTouches[0];
+            const deltaX = touch.clientX - start.x;
+            const deltaY = start.y - touch.clientY;
+            const elapsed = performance.now() - start.time;
+            start = null;
+
+            // Only quick vertical flicks step through the feed; slower drags stay as normal scrolling
+            if (elapsed > 300 || Math.abs(deltaY) < 60 || Math.abs(deltaX) > Math.abs(deltaY)) return;
+
+            this.navigateFeed(deltaY > 0 ? 1 : -1, 'swipe');
+        }, { passive: true, signal });
+    }
+
+    setupFeedRefresh(container) {
+        const indicator = document.createElement('div');
+        indicator.className = 'pull-indicator';
+        indicator.setAttribute('aria-hidden', 'true');
+        indicator.innerHTML = sanitizeHTML`<i class="fas fa-arrow-down"></i>`;
+        container.before(indicator);
+
+        const banner = document.createElement('button');
+        banner.className = 'new-videos-banner';
+        banner.id = 'newVideosBanner';
+        banner.hidden = true;
+        container.before(banner);
+
+        this.feedRefresh.indicator = indicator;
+        this.feedRefresh.banner = banner;
+
+        const signal = this.abortController.signal;
+
+        this.addEventListener(container, 'touchstart', (e) => {
+            this.handlePullStart(e);
+        }, { passive: true, signal });
+
+        this.addEventListener(container, 'touchmove', (e) => {
+            this.handlePullMove(e);
+        }, { passive: false, signal });
+
+        this.addEventListener(container, 'touchend', () => {
+            this.handlePullEnd();
+        }, { signal });
+
+        this.addEventListener(container, 'touchcancel', () => {
+            this.resetPull();
+        }, { signal });
+
+        this.addEventListener(banner, 'click', () => {
+            this.showIncomingVideos();
+        }, { signal });
+
+        this.feedRefresh.pollTimer = setInterval(() => {
+            this.pollForNewVideos();
+        }, this.feedRefresh.pollInterval);
+    }
+
+    handlePullStart(e) {
+        if (window.scrollY > 0 || this.feedRefresh.isRefreshing || e.touches.length !== 1) {
+            this.feedRefresh.pullStartY = null;
+            return;
+        }
+
+        this.feedRefresh.pullStartY = e.touches[0].clientY;
+        this.feedRefresh.pullDistance = 0;
+    }
+
+    handlePullMove(e) {
+        const { pullStartY, indicator, pullThreshold } = this.feedRefresh;
+        if (pullStartY === null) return;
+
+        const distance = (e.touches[0].clientY - pullStartY) * 0.5;
+
+        if (distance <= 0 || window.scrollY > 0) {
+            this.resetPull();
+            return;
+        }
+
+        e.preventDefault();
+
+        this.feedRefresh.pullDistance = Math.min(distance, pullThreshold * 1.5);
+        indicator.style.transform = `translateY(${this.feedRefresh.pullDistance}px)`;
+        indicator.style.opacity = Math.min(1, distance / pullThreshold);
+        indicator.classList.toggle('ready', distance >= pullThreshold);
+    }
+
+    handlePullEnd() {
+        const shouldRefresh = this.feedRefresh.pullStartY !== null && 
+            this.feedRefresh.pullDistance >= this.feedRefresh.pullThreshold;
+
+        this.resetPull();
+
+        if (shouldRefresh) {
+            this.refreshFeed('pull');
+        }
+    }
+
+    resetPull() {
+        const indicator = this.feedRefresh.indicator;
+
+        this.feedRefresh.pullStartY = null;
+        this.feedRefresh.pullDistance = 0;
+
+        if (indicator && !this.feedRefresh.isRefreshing) {
+            indicator.style.transform = '';
+            indicator.style.opacity = '';
+            indicator.classList.remove('ready');
+        }
+    }
+
+    async refreshFeed(method) {
+        if (this.feedRefresh.isRefreshing) return;
+
+        const indicator = this.feedRefresh.indicator;
+        this.feedRefresh.isRefreshing = true;
+        indicator.classList.add('refreshing');
+
+        try {
+            await this.stateManager.getVideos(true);
+            this.logEvent('feed_refresh', { method });
+        } catch (error) {
+            this.showToast('Akış yenilenemedi');
+        } finally {
+            this.feedRefresh.isRefreshing = false;
+            indicator.classList.remove('refreshing');
+            this.resetPull();
+        }
+    }
+
+    async pollForNewVideos() {
+        const { online, videos } = this.stateManager.state;
+        if (this.currentPage !== 'home' || document.hidden || !online || videos.size === 0) return;
+
+        try {
+            await this.stateManager.checkForNewVideos();
+        } catch (error) {
+            console.warn('New video check failed:', error);
+        }
+    }
+
+    updateNewVideosBanner(incomingVideos) {
+        const banner = this.feedRefresh.banner;
+        if (!banner) return;
+
+        banner.hidden = incomingVideos.size === 0;
+        banner.innerHTML = sanitizeHTML`
+            <i class="fas fa-arrow-up" aria-hidden="true"></i> ${incomingVideos.size} yeni video
+        `;
+    }
+
+    async showIncomingVideos() {
+        const count = this.stateManager.state.incomingVideos.size;
+
+        try {
+            await this.stateManager.prependIncomingVideos();
+        } catch (error) {
+            console.error('Incoming videos error:', error);
+            this.showToast('Yeni videolar gösterilemedi');
+            return;
+        }
+
+        this.logEvent('new_videos_shown', { count });
+    }
+
+    setupFeedPagination(container) {
+        const sentinel = document.createElement('div');
+        sentinel.className = 'feed-sentinel';
+        sentinel.setAttribute('aria-live', 'polite');
+        container.appendChild(sentinel);
+
+        this.virtualScroll.sentinel = sentinel;
+        this.virtualScroll.sentinelObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMoreVideos();
+            }
+        }, { rootMargin: '0px 0px 800px 0px' });
+
+        this.virtualScroll.sentinelObserver.observe(sentinel);
+        this.updateFeedSentinel();
+    }
+
+    async loadMoreVideos() {
+        if (this.currentPage !== 'home' || this.stateManager.state.videos.size === 0) return;
+
+        try {
+            await this.stateManager.loadMoreVideos();
+        } catch (error) {
+            this.showToast('Daha fazla video yüklenemedi');
+            return;
+        }
+
+        // Re-observing fires a fresh callback, so short pages keep loading until the sentinel leaves the margin
+        const { sentinel, sentinelObserver } = this.virtualScroll;
+        if (sentinel && this.stateManager.state.hasMore) {
+            sentinelObserver.unobserve(sentinel);
+            sentinelObserver.observe(sentinel);
+        }
+    }
+
+    updateFeedSentinel() {
+        const sentinel = this.virtualScroll.sentinel;
+        if (!sentinel) return;
+
+        const { isLoadingMore, hasMore, videos } = this.stateManager.state;
+
+        sentinel.classList.toggle('loading', isLoadingMore);
+        sentinel.textContent = isLoadingMore ? 'Yükleniyor...' :
+            !hasMore && videos.size > 0 ? 'Hepsi bu kadar' : '';
+    }
+
+    renderVideoItem(video, index) {
+        const template = document.createElement('template');
+        template.innerHTML = this.createVideoElement(video, index).toString().trim();
+        return template.content.firstElementChild;
+    }
+
+    async initializeUI() {
+        if (this.authManager.isAuthenticated || this.authManager.isDemoMode) {
+            await this.showMainApp();
+        } else {
+            this.showWelcomeScreen();
+        }
+
+        this.applyUISettings(this.stateManager.getUISettings());
+    }
+
+    async showMainApp() {
+        try {
+            document.getElementById('welcomeScreen').style.display = 'none';
+            document.getElementById('mainHeader').style.display = 'flex';
+            document.getElementById('mainContent').style.display = 'block';
+            document.getElementById('bottomNav').style.display = 'flex';
+            
+            this.updateNavigation(this.currentPage);
+            await this.loadCurrentPage();
+            this.restoreScrollPosition(this.router.currentRoute);
+            
+        } catch (error) {
+            this.errorBoundary.handleComponentError('ui_manager', error, {
+                operation: 'showMainApp'
+            });
+        }
+    }
+
+    showWelcomeScreen() {
+        document.getElementById('welcomeScreen').style.display = 'flex';
+        document.getElementById('mainHeader').style.display = 'none';
+        document.getElementById('mainContent').style.display = 'none';
+        document.getElementById('bottomNav').style.display = 'none';
+    }
+
+    async switchPage(page) {
+        const path = this.router.pathFor(page);
+        if (!path) return;
+
+        await this.router.navigate(path);
+    }
+
+    async handleRoute(route) {
+        if (!this.authManager.isAuthenticated) return;
+
+        if (this.currentPage !== route.page) {
+            this.logEvent('page_navigation', {
+                from: this.currentPage,
+                to: route.page
+            });
+        }
+
+        this.closeComments();
+        await this.cleanupPage(this.currentPage);
+        
+        this.currentPage = route.page;
+        this.routeParams = route.params;
+        this.updateNavigation(route.page);
+        await this.loadCurrentPage();
+        this.restoreScrollPosition(route);
+    }
+
+    restoreScrollPosition(route) {
+        if (!route) return;
+
+        window.scrollTo(0, route.scrollY || 0);
+    }
+
+    updateNavigation(page) {
+        document.querySelectorAll('[data-page]').forEach(item => {
+            const isActive = item.dataset.page === page;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-current', isActive ? 'page' : 'false');
+        });
+
+        document.querySelectorAll('[data-page-section]').forEach(section => {
+            section.hidden = section.dataset.pageSection !== page;
+        });
+    }
+
+    async loadCurrentPage() {
+        try {
+            switch (this.currentPage) {
+                case 'home':
+                    await this.loadHomePage();
+                    break;
+                case 'explore':
+                    await this.loadExplorePage();
+                    break;
+                case 'profile':
+                    await this.loadProfilePage();
+                    break;
+                case 'analytics':
+                    await this.loadAnalyticsPage();
+                    break;
+                case 'settings':
+                    await this.loadSettingsPage();
+                    break;
+                case 'video':
+                    await this.loadVideoPage(this.routeParams.id);
+                    break;
+                case 'user':
+                    await this.loadUserPage(this.routeParams.id);
+                    break;
+                case 'upload':
+                    this.loadUploadPage();
+                    break;
+                case 'scheduled':
+                    this.loadScheduledPage();
+                    break;
+            }
+        } catch (error) {
+            this.errorBoundary.handleComponentError('page_loader', error, {
+                page: this.currentPage
+            });
+        }
+    }
+
+    async loadHomePage() {
+        const videos = await this.stateManager.getVideos();
+        this.renderVideoFeed(videos);
+    }
+
+    async loadExplorePage() {
+        const container = document.getElementById('explorePage');
+        if (!container) return;
+
+        this.explore.videos = await this.stateManager.getVideos();
+
+        container.innerHTML = sanitizeHTML`
+            <div class="explore-search">
+                <i class="fas fa-search" aria-hidden="true"></i>
+                <input type="search" id="exploreSearch" class="form-input" 
+                       placeholder="Video veya içerik üreticisi ara" 
+                       value="${this.explore.query}" aria-label="Ara">
+            </div>
+            <div class="category-chips" id="exploreCategories" role="toolbar" aria-label="Kategoriler"></div>
+            <h2 class="section-title">Trend Videolar</h2>
+            <div class="video-grid" id="exploreGrid"></div>
+        `;
+
+        this.renderExploreCategories();
+        this.renderExploreGrid();
+    }
+
+    renderExploreCategories() {
+        const chips = document.getElementById('exploreCategories');
+        if (!chips) return;
+
+        chips.innerHTML = sanitizeHTML`${EXPLORE_CATEGORIES.map(category => sanitizeHTML`
+            <button class="chip ${category.id === this.explore.category ? 'active' : ''}" 
+                    data-explore-category="${category.id}" 
+                    aria-pressed="${category.id === this.explore.category}">
+                ${category.label}
+            </button>
+        `)}`;
+    }
+
+    renderExploreGrid() {
+        const grid = document.getElementById('exploreGrid');
+        if (!grid || !this.explore.videos) return;
+
+        const videos = this.getExploreVideos(this.explore.videos);
+
+        if (videos.length === 0) {
+            grid.innerHTML = sanitizeHTML`
+                <p class="empty-state">Sonuç bulunamadı</p>
+            `;
+            return;
+        }
+
+        grid.innerHTML = sanitizeHTML`${videos.map(video => this.createVideoTile(video))}`;
+        this.observeLazyImages(grid);
+    }
+
+    getExploreVideos(videos) {
+        const query = this.explore.query.toLocaleLowerCase('tr-TR');
+        const category = this.explore.category;
+
+        return Array.from(videos.values())
+            .filter(video => category === 'all' || video.category === category)
+            .filter(video => !query || 
+                video.caption?.toLocaleLowerCase('tr-TR').includes(query) ||
+                video.user?.name?.toLocaleLowerCase('tr-TR').includes(query))
+            .sort((a, b) => this.getTrendingScore(b) - this.getTrendingScore(a));
+    }
+
+    getTrendingScore(video) {
+        const engagement = (video.likes || 0) + (video.shares || 0) * 2 + (video.comments || 0) * 3;
+        const ageHours = Math.max(1, (Date.now() - (video.timestamp || 0)) / 3600000);
+        return engagement / Math.pow(ageHours, 0.5);
+    }
+
+    createVideoTile(video) {
+        const cover = video.media[0];
+
+        return sanitizeHTML`
+            <button class="video-tile" data-open-video="${video.id}" aria-label="${video.caption}">
+                <img data-src="${cover?.thumbnail || cover?.poster}" alt="" loading="lazy">
+                ${cover?.type === 'video' ? sanitizeHTML`<i class="fas fa-play video-tile-badge" aria-hidden="true"></i>` : ''}
+                <span class="video-tile-stats">
+                    <i class="fas fa-heart" aria-hidden="true"></i> ${formatCount(video.likes)}
+                </span>
+            </button>
+        `;
+    }
+
+    async loadProfilePage() {
+        const container = document.getElementById('profilePage');
+        if (!container) return;
+
+        const user = this.authManager.userInfo;
+        [this.profile.videos, this.profile.drafts] = await Promise.all([
+            this.stateManager.getVideos(),
+            this.draftStore.getAll()
+        ]);
+        await this.resolveCollectionVideos();
+
+        container.innerHTML = sanitizeHTML`
+            <div class="profile-header">
+                <img class="profile-avatar" src="${user?.avatar || '/assets/demo-avatar.jpg'}" alt="">
+                <div class="profile-info">
+                    <h2 class="profile-name">${user?.name || 'Misafir'}</h2>
+                    <p class="profile-email">${user?.email || ''}</p>
+                </div>
+            </div>
+            <div class="profile-tabs" role="tablist">
+                <button class="profile-tab" role="tab" data-profile-tab="liked">
+                    <i class="fas fa-heart" aria-hidden="true"></i> Beğenilenler
+                    <span class="tab-count" data-profile-count="liked"></span>
+                </button>
+                <button class="profile-tab" role="tab" data-profile-tab="saved">
+                    <i class="fas fa-bookmark" aria-hidden="true"></i> Kaydedilenler
+                    <span class="tab-count" data-profile-count="saved"></span>
+                </button>
+                <button class="profile-tab" role="tab" data-profile-tab="drafts">
+                    <i class="fas fa-file-alt" aria-hidden="true"></i> Taslaklar
+                    <span class="tab-count" data-profile-count="drafts"></span>
+                </button>
+            </div>
+            <div class="video-grid" id="profileGrid" role="tabpanel"></div>
+        `;
+
+        this.renderProfileTabs();
+    }
+
+    renderProfileTabs() {
+        const grid = document.getElementById('profileGrid');
+        if (!grid || !this.profile.videos) return;
+
+        const collections = {
+            liked: this.getCollectionVideos(this.stateManager.state.likedVideos),
+            saved: this.getCollectionVideos(this.stateManager.state.savedVideos),
+            drafts: this.profile.drafts || []
+        };
+
+        document.querySelectorAll('[data-profile-tab]').forEach(tab => {
+            const isActive = tab.dataset.profileTab === this.profile.tab;
+            tab.classList.toggle('active', isActive);
+            tab.setAttribute('aria-selected', String(isActive));
+        });
+
+        // Counts come from the stored ids so bookmarks that could not be loaded are still counted
+        const counts = {
+            liked: this.stateManager.state.likedVideos.size,
+            saved: this.stateManager.state.savedVideos.size,
+            drafts: collections.drafts.length
+        };
+
+        document.querySelectorAll('[data-profile-count]').forEach(count => {
+            count.textContent = counts[count.dataset.profileCount];
+        });
+
+        if (this.profile.tab === 'drafts') {
+            this.renderDrafts(grid, collections.drafts);
+            return;
+        }
+
+        const videos = collections[this.profile.tab] || [];
+
+        if (videos.length === 0) {
+            grid.innerHTML = sanitizeHTML`
+                <p class="empty-state">
+                    ${this.profile.tab === 'liked' ? 'Henüz beğendiğin video yok' : 'Henüz kaydettiğin video yok'}
+                </p>
+            `;
+            return;
+        }
+
+        grid.innerHTML = sanitizeHTML`${videos.map(video => this.createVideoTile(video))}`;
+        this.observeLazyImages(grid);
+    }
+
+    renderDrafts(grid, drafts) {
+        if (drafts.length === 0) {
+            grid.innerHTML = sanitizeHTML`<p class="empty-state">Kaydedilmiş taslak yok</p>`;
+            return;
+        }
+
+        grid.innerHTML = sanitizeHTML`
+            <ul class="draft-list">
+                ${drafts.map(draft => sanitizeHTML`
+                    <li class="draft-item">
+                        <div class="draft-info">
+                            <p class="draft-caption">${draft.caption.trim() || 'Açıklama yok'}</p>
+                            <span class="draft-meta">
+                                ${draft.files.length} dosya · ${formatTime(draft.updatedAt)}
+                            </span>
+                        </div>
+                        <div class="draft-actions">
+                            <button class="btn" data-draft-resume="${draft.id}">Devam et</button>
+                            <button class="btn btn-outline" data-draft-discard="${draft.id}" aria-label="Taslağı sil">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </li>
+                `)}
+            </ul>
+        `;
+    }
+
+    async resolveCollectionVideos() {
+        const { likedVideos, savedVideos } = this.stateManager.state;
+        const missing = Array.from(new Set([...likedVideos, ...savedVideos]))
+            .filter(videoId => !this.profile.videos?.has(videoId));
+
+        if (!this.profile.videos || missing.length === 0) return;
+
+        // Bookmarks can point at videos outside the loaded feed page, e.g. from detail pages or earlier sessions
+        const videos = await Promise.all(missing.map(videoId => 
+            this.stateManager.getVideo(videoId).catch(error => {
+                console.warn(`Collection video fetch failed for ${videoId}:`, error);
+                return null;
+            })
+        ));
+
+        const resolved = new Map(this.profile.videos);
+        videos.forEach((video, index) => {
+            if (video) {
+                resolved.set(missing[index], video);
+            }
+        });
+        this.profile.videos = resolved;
+    }
+
+    getCollectionVideos(videoIds) {
+        return Array.from(videoIds)
+            .map(videoId => this.profile.videos.get(videoId))
+            .filter(Boolean)
+            .reverse();
+    }
+
+    async loadAnalyticsPage() {
+        const container = document.getElementById('analyticsPage');
+        if (!container) return;
+
+        const [counts, histograms, timeline, navigation] = await Promise.all([
+            this.eventStore.getEventCounts(['video_load', 'video_like', 'video_share', 'high_memory_usage']),
+            this.eventStore.getLoadTimeHistograms(),
+            this.eventStore.getEngagementTimeline(7),
+            this.eventStore.getNavigationFunnel(['home', 'explore', 'profile'])
+        ]);
+
+        const videos = await this.stateManager.getVideos();
+        const maxEngagement = Math.max(1, ...timeline.map(day => Math.max(day.likes, day.shares)));
+        const maxFunnel = Math.max(1, navigation.sessions);
+
+        container.innerHTML = sanitizeHTML`
+            <div class="stat-cards">
+                <div class="stat-card">
+                    <span class="stat-value">${formatCount(counts.video_load)}</span>
+                    <span class="stat-label">Video yükleme</span>
+                </div>
+                <div class="stat-card">
+                    <span class="stat-value">${formatCount(counts.video_like)}</span>
+                    <span class="stat-label">Beğeni</span>
+                </div>
+                <div class="stat-card">
+                    <span class="stat-value">${formatCount(counts.video_share)}</span>
+                    <span class="stat-label">Paylaşım</span>
+                </div>
+                <div class="stat-card">
+                    <span class="stat-value">${formatCount(counts.high_memory_usage)}</span>
+                    <span class="stat-label">Yüksek bellek uyarısı</span>
+                </div>
+            </div>
+
+            <section class="analytics-section">
+                <h2 class="section-title">Video Yükleme Süreleri</h2>
+                ${histograms.length === 0 ? sanitizeHTML`<p class="empty-state">Henüz veri yok</p>` : 
+                    histograms.map(histogram => this.createLoadTimeHistogram(histogram, videos.get(histogram.videoId)))}
+            </section>
+
+            <section class="analytics-section">
+                <h2 class="section-title">Son 7 Gün Etkileşim</h2>
+                <div class="bar-chart">
+                    ${timeline.map(day => sanitizeHTML`
+                        <div class="bar-group">
+                            <div class="bar-stack">
+                                <span class="bar bar-likes" style="height: ${(day.likes / maxEngagement) * 100}%" 
+                                      title="${day.likes} beğeni"></span>
+                                <span class="bar bar-shares" style="height: ${(day.shares / maxEngagement) * 100}%" 
+                                      title="${day.shares} paylaşım"></span>
+                            </div>
+                            <span class="bar-label">
+                                ${new Date(day.date).toLocaleDateString('tr-TR', { weekday: 'short' })}
+                            </span>
+                        </div>
+                    `)}
+                </div>
+                <div class="chart-legend">
+                    <span><i class="legend-dot bar-likes"></i> Beğeni</span>
+                    <span><i class="legend-dot bar-shares"></i> Paylaşım</span>
+                </div>
+            </section>
+
+            <section class="analytics-section">
+                <h2 class="section-title">Sayfa Geçiş Hunisi</h2>
+                ${navigation.funnel.map(step => sanitizeHTML`
+                    <div class="funnel-step">
+                        <span class="funnel-label">${step.step}</span>
+                        <div class="funnel-track">
+                            <span class="funnel-fill" style="width: ${(step.count / maxFunnel) * 100}%"></span>
+                        </div>
+                        <span class="funnel-count">${step.count} / ${navigation.sessions}</span>
+                    </div>
+                `)}
+                <ul class="transition-list">
+                    ${navigation.transitions.slice(0, 5).map(transition => sanitizeHTML`
+                        <li><span>${transition.path}</span><span>${transition.count}</span></li>
+                    `)}
+                </ul>
+            </section>
+        `;
+    }
+
+    createLoadTimeHistogram(histogram, video) {
+        const maxCount = Math.max(1, ...histogram.buckets.map(bucket => bucket.count));
+
+        return sanitizeHTML`
+            <div class="histogram">
+                <div class="histogram-header">
+                    <span class="histogram-title">${video?.caption || `Video ${histogram.videoId}`}</span>
+                    <span class="histogram-meta">ort. ${Math.round(histogram.average)}ms · ${histogram.count} yükleme</span>
+                </div>
+                ${histogram.buckets.map(bucket => sanitizeHTML`
+                    <div class="histogram-row">
+                        <span class="histogram-label">${bucket.label}</span>
+                        <div class="funnel-track">
+                            <span class="funnel-fill" style="width: ${(bucket.count / maxCount) * 100}%"></span>
+                        </div>
+                        <span class="funnel-count">${bucket.count}</span>
+                    </div>
+                `)}
+            </div>
+        `;
+    }
+
+    loadSettingsPage() {
+        const container = document.getElementById('settingsPage');
+        if (!container) return;
+
+        const ui = this.stateManager.getUISettings();
+
+        container.innerHTML = sanitizeHTML`
+            <h2 class="section-title">Ayarlar</h2>
+            <div class="settings-list">
+                <label class="setting-row">
+                    <span class="setting-label">Tema</span>
+                    <select class="form-input" data-setting="theme">
+                        <option value="dark" ${ui.theme === 'dark' ? 'selected' : ''}>Koyu</option>
+                        <option value="light" ${ui.theme === 'light' ? 'selected' : ''}>Açık</option>
+                    </select>
+                </label>
+                <label class="setting-row">
+                    <span class="setting-label">Dil</span>
+                    <select class="form-input" data-setting="language">
+                        ${LANGUAGES.map(language => sanitizeHTML`
+                            <option value="${language.value}" ${ui.language === language.value ? 'selected' : ''}>
+                                ${language.label}
+                            </option>
+                        `)}
+                    </select>
+                </label>
+                <label class="setting-row">
+                    <span class="setting-label">Video kalitesi</span>
+                    <select class="form-input" data-setting="videoQuality">
+                        ${VIDEO_QUALITIES.map(quality => sanitizeHTML`
+                            <option value="${quality.value}" ${ui.videoQuality === quality.value ? 'selected' : ''}>
+                                ${quality.label}
+                            </option>
+                        `)}
+                    </select>
+                </label>
+                <label class="setting-row">
+                    <span class="setting-label">Altyazılar</span>
+                    <select class="form-input" data-setting="captions">
+                        <option value="auto" ${ui.captions === 'auto' ? 'selected' : ''}>Arayüz dilinde</option>
+                        <option value="off" ${ui.captions === 'off' ? 'selected' : ''}>Kapalı</option>
+                        ${LANGUAGES.map(language => sanitizeHTML`
+                            <option value="${language.value}" ${ui.captions === language.value ? 'selected' : ''}>
+                                ${language.label}
+                            </option>
+                        `)}
+                    </select>
+                </label>
+                <label class="setting-row">
+                    <span class="setting-label">Otomatik oynatma</span>
+                    <input type="checkbox" class="toggle" data-setting="autoplay" ${ui.autoplay ? 'checked' : ''}>
+                </label>
+                <label class="setting-row">
+                    <span class="setting-label">Resim içinde resim</span>
+                    <input type="checkbox" class="toggle" data-setting="pictureInPicture" ${ui.pictureInPicture ? 'checked' : ''}>
+                </label>
+                <label class="setting-row">
+                    <span class="setting-label">Arka planda dinlemeye devam et</span>
+                    <input type="checkbox" class="toggle" data-setting="backgroundPlayback" ${ui.backgroundPlayback ? 'checked' : ''}>
+                </label>
+                <label class="setting-row">
+                    <span class="setting-label">Bildirimler</span>
+                    <input type="checkbox" class="toggle" data-setting="notifications" ${ui.notifications ? 'checked' : ''}>
+                </label>
+                <label class="setting-row">
+                    <span class="setting-label">Kullanım verilerini paylaş</span>
+                    <input type="checkbox" class="toggle" data-setting="telemetry" ${ui.telemetry ? 'checked' : ''}>
+                </label>
+            </div>
+        `;
+    }
+
+    loadUploadPage() {
+        const container = document.getElementById('uploadPage');
+        if (!container || container.querySelector('#uploadForm')) return;
+
+        const accept = [...UPLOAD_LIMITS.VIDEO_TYPES, ...UPLOAD_LIMITS.IMAGE_TYPES].join(',');
+
+        container.innerHTML = sanitizeHTML`
+            <div class="section-header">
+                <h2 class="section-title">Yeni Gönderi</h2>
+                <button class="btn btn-outline" data-page="scheduled">
+                    <i class="fas fa-calendar-alt" aria-hidden="true"></i> Zamanlanmış
+                </button>
+            </div>
+            <form id="uploadForm" class="upload-form" novalidate>
+                <label class="upload-dropzone">
+                    <input type="file" id="uploadFiles" accept="${accept}" multiple>
+                    <i class="fas fa-cloud-upload-alt" aria-hidden="true"></i>
+                    <span>Video veya fotoğraf seç</span>
+                    <small>En fazla ${UPLOAD_LIMITS.MAX_FILES} dosya</small>
+                </label>
+                <ul class="upload-errors" id="uploadErrors" role="alert"></ul>
+                <div class="upload-preview" id="uploadPreview"></div>
+                <textarea class="form-input" name="caption" rows="3" maxlength="${UPLOAD_LIMITS.MAX_CAPTION_LENGTH}" 
+                          placeholder="Açıklama yaz..." aria-label="Açıklama"></textarea>
+                <label class="schedule-field">
+                    <span><i class="fas fa-clock" aria-hidden="true"></i> Yayın zamanı (isteğe bağlı)</span>
+                    <input type="datetime-local" class="form-input" name="publishAt">
+                </label>
+                <div class="upload-progress" id="uploadProgress" hidden>
+                    <progress max="100" value="0"></progress>
+                    <span class="upload-progress-label"></span>
+                </div>
+                <div class="upload-actions">
+                    <span class="draft-status" id="draftStatus" aria-live="polite"></span>
+                    <button type="button" class="btn btn-outline" id="uploadCancel" hidden>İptal</button>
+                    <button type="submit" class="btn" id="uploadSubmit" disabled>
+                        <i class="fas fa-paper-plane"></i> Paylaş
+                    </button>
+                </div>
+            </form>
+        `;
+
+        this.renderUploadPreview();
+    }
+
+    validateUploadFile(file) {
+        const isVideo = validateFileType(file, UPLOAD_LIMITS.VIDEO_TYPES) && validateVideoUrl(file.name);
+        const isImage = validateFileType(file, UPLOAD_LIMITS.IMAGE_TYPES) && validateImageUrl(file.name);
+
+        if (!isVideo && !isImage) {
+            return { error: `${file.name}: desteklenmeyen dosya türü` };
+        }
+
+        const maxSizeMB = isVideo ? UPLOAD_LIMITS.MAX_VIDEO_SIZE_MB : UPLOAD_LIMITS.MAX_IMAGE_SIZE_MB;
+        if (!validateFileSize(file, maxSizeMB)) {
+            return { error: `${file.name}: dosya en fazla ${maxSizeMB} MB olabilir` };
+        }
+
+        return { type: isVideo ? 'video' : 'image' };
+    }
+
+    addUploadFiles(fileList) {
+        if (this.upload.isUploading) return;
+
+        const errors = [];
+
+        for (const file of Array.from(fileList)) {
+            if (this.upload.files.length >= UPLOAD_LIMITS.MAX_FILES) {
+                errors.push(`En fazla ${UPLOAD_LIMITS.MAX_FILES} dosya seçebilirsin`);
+                break;
+            }
+
+            const { error, type } = this.validateUploadFile(file);
+            if (error) {
+                errors.push(error);
+                continue;
+            }
+
+            const item = { file, type, url: URL.createObjectURL(file) };
+            this.upload.files.push(item);
+
+            if (type === 'video') {
+                this.generateUploadPosters(item);
+            }
+        }
+
+        const list = document.getElementById('uploadErrors');
+        if (list) {
+            list.innerHTML = sanitizeHTML`${errors.map(error => sanitizeHTML`<li>${error}</li>`)}`;
+        }
+
+        this.renderUploadPreview();
+        this.scheduleDraftSave();
+    }
+
+    removeUploadFile(index) {
+        if (this.upload.isUploading) return;
+
+        const [removed] = this.upload.files.splice(index, 1);
+        if (removed) {
+            this.releaseUploadItem(removed);
+        }
+
+        this.upload.previewIndex = Math.min(this.upload.previewIndex, Math.max(0, this.upload.files.length - 1));
+        this.renderUploadPreview();
+        this.scheduleDraftSave();
+    }
+
+    async generateUploadPosters(item) {
+        item.posters = [];
+        item.posterIndex = item.posterIndex || 0;
+        item.posterStatus = 'pending';
+
+        try {
+            item.posters = await this.posterGenerator.generate(item.file);
+            item.posterIndex = Math.min(item.posterIndex, item.posters.length - 1);
+            item.posterStatus = 'ready';
+        } catch (error) {
+            console.warn(`Poster generation failed for ${item.file.name}:`, error);
+            item.posterStatus = 'failed';
+        }
+
+        // The file may have been removed while its frames were being captured
+        if (!this.upload.files.includes(item)) {
+            this.posterGenerator.release(item.posters);
+            return;
+        }
+
+        this.renderUploadPreview();
+    }
+
+    selectUploadPoster(posterIndex) {
+        const item = this.upload.files[this.upload.previewIndex];
+        if (!item?.posters?.[posterIndex] || this.upload.isUploading) return;
+
+        item.posterIndex = posterIndex;
+        this.renderUploadPreview();
+        this.scheduleDraftSave();
+    }
+
+    getSelectedPoster(item) {
+        return item.type === 'video' ? item.posters?.[item.posterIndex] || null : null;
+    }
+
+    releaseUploadItem(item) {
+        URL.revokeObjectURL(item.url);
+        this.posterGenerator.release(item.posters);
+    }
+
+    createPosterPicker(item) {
+        if (item.posterStatus === 'pending') {
+            return sanitizeHTML`<p class="poster-picker-status">Kapak kareleri hazırlanıyor...</p>`;
+        }
+
+        if (!item.posters?.length) {
+            return sanitizeHTML`<p class="poster-picker-status">Kapak karesi oluşturulamadı</p>`;
+        }
+
+        return sanitizeHTML`
+            <div class="poster-picker">
+                <span class="poster-picker-label">Kapak seç</span>
+                <div class="poster-options" role="radiogroup" aria-label="Kapak seç">
+                    ${item.posters.map((poster, index) => sanitizeHTML`
+                        <button type="button" class="poster-option ${index === item.posterIndex ? 'active' : ''}" 
+                                role="radio" aria-checked="${index === item.posterIndex}" 
+                                data-upload-poster="${index}" aria-label="${poster.time.toFixed(1)}. saniye">
+                            <img src="${poster.url}" alt="">
+                        </button>
+                    `)}
+                </div>
+            </div>
+        `;
+    }
+
+    showUploadPreview(index) {
+        this.upload.previewIndex = index;
+        this.renderUploadPreview();
+    }
+
+    renderUploadPreview() {
+        const preview = document.getElementById('uploadPreview');
+        const submit = document.getElementById('uploadSubmit');
+        if (!preview) return;
+
+        const { files, previewIndex, isUploading } = this.upload;
+
+        if (submit) {
+            submit.disabled = files.length === 0 || isUploading;
+        }
+
+        if (files.length === 0) {
+            preview.innerHTML = '';
+            return;
+        }
+
+        preview.innerHTML = sanitizeHTML`
+            <div class="media-gallery">
+                <div class="media-container" style="transform: translateX(-${previewIndex * 100}%)">
+                    ${files.map((item, index) => sanitizeHTML`
+                        <div class="media-item ${index === previewIndex ? 'active' : ''}">
+                            ${item.type === 'video' ? 
+                                sanitizeHTML`<video src="${item.url}" poster="${this.getSelectedPoster(item)?.url || ''}" 
+                                                    preload="metadata" playsinline muted controls></video>` :
+                                sanitizeHTML`<img src="${item.url}" alt="${item.file.name}">`
+                            }
+                            <button type="button" class="upload-remove" data-upload-remove="${index}" 
+                                    aria-label="${item.file.name} kaldır">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                    `)}
+                </div>
+                ${files.length > 1 ? sanitizeHTML`
+                    <div class="gallery-controls">
+                        <div class="gallery-indicator">
+                            ${files.map((_, index) => sanitizeHTML`
+                                <button type="button" class="indicator-dot ${index === previewIndex ? 'active' : ''}" 
+                                        data-upload-preview="${index}"
+                                        aria-label="${index + 1}. medyaya geç">
+                                </button>
+                            `)}
+                        </div>
+                        <div class="media-count">
+                            ${previewIndex + 1} / ${files.length}
+                        </div>
+                    </div>
+                ` : ''}
+            </div>
+            ${files[previewIndex].type === 'video' ? this.createPosterPicker(files[previewIndex]) : ''}
+        `;
+    }
+
+    async submitUpload(form) {
+        const { files } = this.upload;
+        if (this.upload.isUploading || files.length === 0) return;
+
+        if (!this.stateManager.state.online) {
+            this.showToast('Yükleme için internet bağlantısı gerekli');
+            return;
+        }
+
+        const caption = form.elements.caption.value.trim();
+        const publishAt = form.elements.publishAt.value 
+            ? new Date(form.elements.publishAt.value).getTime() 
+            : null;
+
+        if (publishAt !== null && !this.isValidPublishTime(publishAt)) {
+            this.showToast(`Yayın zamanı en az ${UPLOAD_LIMITS.MIN_SCHEDULE_LEAD_MINUTES} dakika sonrası olmalı`);
+            return;
+        }
+
+        const totalBytes = files.reduce((total, item) => 
+            total + item.file.size + (this.getSelectedPoster(item)?.blob.size || 0), 0);
+        const uploadedBytes = new Map();
+
+        this.upload.controller = new AbortController();
+        this.setUploadBusy(true);
+        this.updateUploadProgress(0, totalBytes);
+
+        const uploadFile = (file, key) => this.uploader.upload(file, {
+            signal: this.upload.controller.signal,
+            onProgress: (bytes) => {
+                uploadedBytes.set(key, bytes);
+                this.updateUploadProgress(
+                    Array.from(uploadedBytes.values()).reduce((total, value) => total + value, 0), 
+                    totalBytes
+                );
+            }
+        });
+
+        let video = null;
+
+        try {
+            const media = [];
+
+            for (const [index, item] of files.entries()) {
+                const result = await uploadFile(item.file, `media_${index}`);
+                const entry = { uploadId: result.id, type: item.type };
+
+                const poster = this.getSelectedPoster(item);
+                if (poster) {
+                    const posterFile = new File([poster.blob], `${item.file.name}.poster-${poster.time}.jpg`, {
+                        type: poster.blob.type,
+                        lastModified: item.file.lastModified
+                    });
+                    const posterResult = await uploadFile(posterFile, `poster_${index}`);
+                    entry.posterUploadId = posterResult.id;
+                    entry.posterTime = poster.time;
+                }
+
+                media.push(entry);
+            }
+
+            if (publishAt !== null) {
+                const post = await this.stateManager.schedulePost({ caption, media, publishAt });
+
+                this.logEvent('post_scheduled', {
+                    postId: post.id,
+                    mediaCount: media.length,
+                    leadTime: publishAt - Date.now()
+                });
+
+                await this.resetUpload(form);
+                this.showToast(`Gönderin ${this.formatPublishTime(publishAt)} için zamanlandı`);
+                await this.switchPage('scheduled');
+                return;
+            }
+
+            video = await this.stateManager.createPost({ caption, media });
+
+            this.logEvent('post_created', {
+                videoId: video.id,
+                mediaCount: media.length,
+                bytes: totalBytes
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showToast('Yükleme iptal edildi');
+            } else {
+                this.showToast('Yükleme başarısız oldu, tekrar denersen kaldığı yerden devam eder');
+                this.errorBoundary.handleComponentError('upload', error, {
+                    operation: 'upload',
+                    fileCount: files.length
+                });
+            }
+        } finally {
+            this.upload.controller = null;
+            this.setUploadBusy(false);
+        }
+
+        if (!video) return;
+
+        // The post is already published, so anything failing from here on must not invite a second upload
+        try {
+            await this.resetUpload(form);
+            this.showToast('Gönderin paylaşıldı!');
+            await this.openVideo(video.id);
+        } catch (error) {
+            console.error('Post-publish navigation error:', error);
+        }
+    }
+
+    setUploadBusy(busy) {
+        const form = document.getElementById('uploadForm');
+        this.upload.isUploading = busy;
+        if (!form) return;
+
+        form.elements.caption.disabled = busy;
+        form.elements.publishAt.disabled = busy;
+        form.querySelector('#uploadFiles').disabled = busy;
+        form.querySelector('#uploadCancel').hidden = !busy;
+        form.querySelector('#uploadProgress').hidden = !busy;
+        form.classList.toggle('uploading', busy);
+
+        this.renderUploadPreview();
+    }
+
+    updateUploadProgress(loaded, total) {
+        const progress = document.querySelector('#uploadProgress progress');
+        const label = document.querySelector('#uploadProgress .upload-progress-label');
+        const percent = total > 0 ? Math.round((loaded / total) * 100) : 0;
+
+        if (progress) {
+            progress.value = percent;
+        }
+        if (label) {
+            label.textContent = `%${percent} · ${formatFileSize(loaded)} / ${formatFileSize(total)}`;
+        }
+    }
+
+    isValidPublishTime(publishAt) {
+        const minimum = Date.now() + UPLOAD_LIMITS.MIN_SCHEDULE_LEAD_MINUTES * 60000;
+        return Number.isFinite(publishAt) && publishAt >= minimum;
+    }
+
+    formatPublishTime(timestamp) {
+        return new Date(timestamp).toLocaleString('tr-TR', {
+            day: 'numeric',
+            month: 'long',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    loadScheduledPage() {
+        const container = document.getElementById('scheduledPage');
+        if (!container) return;
+
+        this.scheduled.editingId = null;
+
+        container.innerHTML = sanitizeHTML`
+            <div class="section-header">
+                <h2 class="section-title">Zamanlanmış Gönderiler</h2>
+                <button class="btn" data-page="upload">
+                    <i class="fas fa-plus" aria-hidden="true"></i> Yeni
+                </button>
+            </div>
+            <div id="scheduledList" class="scheduled-calendar"></div>
+        `;
+
+        this.renderScheduledPosts();
+        this.stateManager.pruneScheduledPosts().catch(error => {
+            console.warn('Scheduled post prune failed:', error);
+        });
+    }
+
+    renderScheduledPosts() {
+        const list = document.getElementById('scheduledList');
+        if (!list) return;
+
+        const posts = this.stateManager.getUpcomingPosts();
+
+        if (posts.length === 0) {
+            list.innerHTML = sanitizeHTML`<p class="empty-state">Zamanlanmış gönderi yok</p>`;
+            return;
+        }
+
+        const days = new Map();
+        posts.forEach(post => {
+            const day = new Date(post.publishAt).toDateString();
+            if (!days.has(day)) {
+                days.set(day, []);
+            }
+            days.get(day).push(post);
+        });
+
+        list.innerHTML = sanitizeHTML`${Array.from(days.values()).map(dayPosts => sanitizeHTML`
+            <section class="scheduled-day">
+                <h3 class="scheduled-date">
+                    ${new Date(dayPosts[0].publishAt).toLocaleDateString('tr-TR', {
+                        weekday: 'long',
+                        day: 'numeric',
+                        month: 'long'
+                    })}
+                </h3>
+                <ul class="scheduled-items">
+                    ${dayPosts.map(post => post.id === this.scheduled.editingId 
+                        ? this.createScheduledEditForm(post) 
+                        : this.createScheduledItem(post))}
+                </ul>
+            </section>
+        `)}`;
+    }
+
+    createScheduledItem(post) {
+        const time = new Date(post.publishAt).toLocaleTimeString('tr-TR', {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        return sanitizeHTML`
+            <li class="scheduled-item">
+                <time class="scheduled-time" datetime="${new Date(post.publishAt).toISOString()}">${time}</time>
+                <div class="scheduled-info">
+                    <p class="scheduled-caption">${post.caption || 'Açıklama yok'}</p>
+                    <span class="scheduled-meta">
+                        ${post.media.length} medya ·
+                        <span class="scheduled-status ${post.status}">
+                            ${post.status === 'scheduled' ? 'Zamanlandı' : 'Gönderilmeyi bekliyor'}
+                        </span>
+                    </span>
+                </div>
+                <div class="draft-actions">
+                    <button class="btn btn-outline" data-scheduled-edit="${post.id}" aria-label="Düzenle">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="btn btn-outline" data-scheduled-cancel="${post.id}" aria-label="İptal et">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </li>
+        `;
+    }
+
+    createScheduledEditForm(post) {
+        return sanitizeHTML`
+            <li class="scheduled-item editing">
+                <form class="scheduled-edit-form" data-post-id="${post.id}">
+                    <textarea class="form-input" name="caption" rows="2" 
+                              maxlength="${UPLOAD_LIMITS.MAX_CAPTION_LENGTH}" aria-label="Açıklama">${post.caption}</textarea>
+                    <input type="datetime-local" class="form-input" name="publishAt" 
+                           value="${toDateTimeLocalValue(post.publishAt)}" aria-label="Yayın zamanı" required>
+                    <div class="upload-actions">
+                        <button type="button" class="btn btn-outline" data-scheduled-edit-cancel>Vazgeç</button>
+                        <button type="submit" class="btn">Kaydet</button>
+                    </div>
+                </form>
+            </li>
+        `;
+    }
+
+    async saveScheduledPost(form) {
+        const postId = form.dataset.postId;
+        const caption = form.elements.caption.value.trim();
+        const publishAt = new Date(form.elements.publishAt.value).getTime();
+
+        if (!this.isValidPublishTime(publishAt)) {
+            this.showToast(`Yayın zamanı en az ${UPLOAD_LIMITS.MIN_SCHEDULE_LEAD_MINUTES} dakika sonrası olmalı`);
+            return;
+        }
+
+        try {
+            this.scheduled.editingId = null;
+            await this.stateManager.updateScheduledPost(postId, { caption, publishAt });
+            this.logEvent('scheduled_post_update', { postId });
+            this.showToast('Zamanlama güncellendi');
+        } catch (error) {
+            this.showToast('Zamanlama güncellenemedi');
+            this.errorBoundary.handleComponentError('scheduled_posts', error, {
+                postId,
+                operation: 'update'
+            });
+        }
+    }
+
+    async cancelScheduledPost(postId) {
+        try {
+            await this.stateManager.cancelScheduledPost(postId);
+            this.logEvent('scheduled_post_cancel', { postId });
+            this.showToast('Zamanlanmış gönderi iptal edildi');
+        } catch (error) {
+            this.showToast('Gönderi iptal edilemedi');
+            this.errorBoundary.handleComponentError('scheduled_posts', error, {
+                postId,
+                operation: 'cancel'
+            });
+        }
+    }
+
+    async resetUpload(form) {
+        const draftId = this.upload.draftId;
+
+        this.upload.files.forEach(item => this.releaseUploadItem(item));
+        this.upload.files = [];
+        this.upload.previewIndex = 0;
+        this.upload.draftId = null;
+
+        if (form) {
+            form.reset();
+            document.getElementById('uploadErrors').innerHTML = '';
+            document.getElementById('draftStatus').textContent = '';
+            this.renderUploadPreview();
+        }
+
+        if (draftId) {
+            await this.draftStore.delete(draftId).catch(error => {
+                console.warn('Draft delete failed:', error);
+            });
+        }
+    }
+
+    async saveDraft() {
+        if (!this.draftStore.isAvailable || this.upload.isUploading) return;
+
+        const form = document.getElementById('uploadForm');
+        const caption = form?.elements.caption.value || '';
+        const publishAt = form?.elements.publishAt.value || '';
+        const { files } = this.upload;
+
+        try {
+            if (files.length === 0 && !caption.trim()) {
+                if (this.upload.draftId) {
+                    await this.draftStore.delete(this.upload.draftId);
+                    this.upload.draftId = null;
+                }
+                return;
+            }
+
+            this.upload.draftId = this.upload.draftId || generateId();
+
+            await this.draftStore.save({
+                id: this.upload.draftId,
+                caption,
+                publishAt,
+                files: files.map(item => ({
+                    file: item.file,
+                    type: item.type,
+                    posterIndex: item.posterIndex || 0
+                }))
+            });
+
+            const status = document.getElementById('draftStatus');
+            if (status) {
+                status.textContent = 'Taslak kaydedildi';
+            }
+        } catch (error) {
+            console.warn('Draft autosave failed:', error);
+        }
+    }
+
+    async resumeDraft(draftId) {
+        if (this.upload.isUploading) {
+            this.showToast('Devam eden bir yükleme var');
+            return;
+        }
+
+        const draft = await this.draftStore.get(draftId);
+        if (!draft) {
+            this.showToast('Taslak bulunamadı');
+            return;
+        }
+
+        if (this.upload.draftId !== draftId) {
+            // Persist whatever is in the composer before replacing it with the draft
+            await this.saveDraft();
+        }
+
+        this.upload.files.forEach(item => this.releaseUploadItem(item));
+        this.upload.files = draft.files.map(({ file, type, posterIndex }) => ({
+            file,
+            type,
+            posterIndex,
+            url: URL.createObjectURL(file)
+        }));
+        this.upload.previewIndex = 0;
+        this.upload.draftId = draft.id;
+
+        this.upload.files
+            .filter(item => item.type === 'video')
+            .forEach(item => this.generateUploadPosters(item));
+
+        await this.switchPage('upload');
+
+        const form = document.getElementById('uploadForm');
+        if (form) {
+            form.elements.caption.value = draft.caption;
+            form.elements.publishAt.value = draft.publishAt || '';
+        }
+        this.renderUploadPreview();
+        this.logEvent('draft_resume', { draftId, fileCount: draft.files.length });
+    }
+
+    async discardDraft(draftId) {
+        try {
+            await this.draftStore.delete(draftId);
+
+            if (this.upload.draftId === draftId && !this.upload.isUploading) {
+                await this.resetUpload(document.getElementById('uploadForm'));
+            }
+
+            this.profile.drafts = (this.profile.drafts || []).filter(draft => draft.id !== draftId);
+            this.renderProfileTabs();
+            this.showToast('Taslak silindi');
+        } catch (error) {
+            this.errorBoundary.handleComponentError('drafts', error, {
+                draftId,
+                operation: 'discard'
+            });
+        }
+    }
+
+    async handleSettingChange(element) {
+        const key = element.dataset.setting;
+        const value = element.type === 'checkbox' ? element.checked : element.value;
+
+        try {
+            await this.stateManager.updateUISettings({ [key]: value });
+        } catch (error) {
+            console.error(`Setting save error for ${key}:`, error);
+
+            const current = this.stateManager.getUISettings()[key];
+            if (element.type === 'checkbox') {
+                element.checked = !!current;
+            } else {
+                element.value = current;
+            }
+
+            this.showToast('Ayarlar kaydedilemedi');
+            return;
+        }
+
+        this.logEvent('settings_change', { key, value });
+        this.showToast('Ayarlar kaydedildi');
+    }
+
+    applyUISettings(ui, previousUI = {}) {
+        if (ui.theme !== previousUI.theme) {
+            this.setTheme(ui.theme);
+        }
+
+        if (ui.language !== previousUI.language) {
+            document.documentElement.setAttribute('lang', ui.language);
+        }
+
+        if (ui.autoplay !== previousUI.autoplay || ui.videoQuality !== previousUI.videoQuality ||
+            ui.muted !== previousUI.muted || ui.playbackRate !== previousUI.playbackRate ||
+            ui.captions !== previousUI.captions || ui.language !== previousUI.language ||
+            ui.pictureInPicture !== previousUI.pictureInPicture) {
+            this.videoPlayers.forEach(player => {
+                player.updateSettings(this.getPlayerSettings());
+            });
+            this.detailPlayer?.updateSettings(this.getPlayerSettings());
+            this.updateQualityLabels();
+            this.updatePictureInPictureButtons();
+        }
+
+        if (previousUI.notifications !== undefined && ui.notifications !== previousUI.notifications) {
+            this.updatePushSubscription(ui.notifications);
+        }
+
+        if (!ui.telemetry && previousUI.telemetry) {
+            this.telemetry.clear();
+        }
+    }
+
+    getPlayerSettings() {
+        const { autoplay, videoQuality, muted, playbackRate, pictureInPicture } = this.stateManager.getUISettings();
+        return {
+            autoplay,
+            videoQuality,
+            muted,
+            playbackRate,
+            pictureInPicture,
+            captionLanguage: this.getCaptionLanguage()
+        };
+    }
+
+    getCaptionLanguage() {
+        const { captions, language } = this.stateManager.getUISettings();
+
+        if (captions === 'off') return null;
+        return captions === 'auto' ? language : captions;
+    }
+
+    getPlayerFor(element) {
+        const container = element.closest('[data-video-id]');
+        if (!container) return null;
+
+        if (this.detailPlayer?.container === container) {
+            return this.detailPlayer;
+        }
+        return this.videoPlayers.get(container.dataset.videoId) || null;
+    }
+
+    getQualityLabel(player) {
+        const { videoQuality } = this.stateManager.getUISettings();
+        const label = VIDEO_QUALITIES.find(quality => quality.value === videoQuality)?.label || videoQuality;
+        const active = videoQuality === 'auto' ? player?.getActiveQuality() : null;
+
+        return active ? `${label} (${active})` : label;
+    }
+
+    createQualityControl() {
+        return sanitizeHTML`
+            <div class="quality-control">
+                <button class="quality-toggle" data-quality-toggle aria-haspopup="menu" aria-expanded="false" aria-label="Video kalitesi">
+                    <i class="fas fa-sliders-h" aria-hidden="true"></i>
+                    <span data-quality-label>${this.getQualityLabel(null)}</span>
+                </button>
+                <div class="quality-menu" role="menu" hidden></div>
+            </div>
+        `;
+    }
+
+    toggleQualityMenu(toggle) {
+        const menu = toggle.nextElementSibling;
+        const isOpen = !menu.hidden;
+
+        this.closePlayerMenus();
+        if (isOpen) return;
+
+        const player = this.getPlayerFor(toggle);
+        const options = player?.getQualityOptions() || [];
+
+        if (options.length === 0) {
+            this.showToast('Bu video için kalite seçeneği yok');
+            return;
+        }
+
+        const { videoQuality } = this.stateManager.getUISettings();
+        const active = player.getActiveQuality();
+
+        menu.innerHTML = sanitizeHTML`
+            ${options.map(quality => sanitizeHTML`
+                <button class="quality-option ${quality.value === videoQuality ? 'active' : ''}"
+                        role="menuitemradio" aria-checked="${quality.value === videoQuality}"
+                        data-quality-option="${quality.value}">
+                    ${quality.label}
+                    ${quality.value === 'auto' && active ? sanitizeHTML`<span class="quality-active">${active}</span>` : ''}
+                </button>
+            `)}
+        `;
+
+        menu.hidden = false;
+        toggle.setAttribute('aria-expanded', 'true');
+        menu.querySelector('.quality-option.active, .quality-option')?.focus();
+    }
+
+    closePlayerMenus() {
+        document.querySelectorAll('.quality-menu:not([hidden]), .captions-menu:not([hidden])').forEach(menu => {
+            menu.hidden = true;
+            menu.previousElementSibling?.setAttribute('aria-expanded', 'false');
+        });
+    }
+
+    async selectQuality(option) {
+        const quality = option.dataset.qualityOption;
+        const player = this.getPlayerFor(option);
+
+        this.closePlayerMenus();
+
+        if (quality === this.stateManager.getUISettings().videoQuality) return;
+
+        try {
+            await this.stateManager.updateUISettings({ videoQuality: quality });
+            this.logEvent('quality_change', {
+                videoId: player?.videoId,
+                quality,
+                source: 'player_menu'
+            });
+        } catch (error) {
+            this.errorBoundary.handleComponentError('video_player', error, {
+                quality,
+                operation: 'qualityChange'
+            });
+        }
+    }
+
+    updateQualityLabels() {
+        document.querySelectorAll('[data-quality-label]').forEach(label => {
+            label.textContent = this.getQualityLabel(this.getPlayerFor(label));
+        });
+    }
+
+    toggleCaptionsMenu(toggle) {
+        const menu = toggle.nextElementSibling;
+        const isOpen = !menu.hidden;
+
+        this.closePlayerMenus();
+        if (isOpen) return;
+
+        const player = this.getPlayerFor(toggle);
+        const options = player?.getCaptionOptions() || [];
+
+        if (options.length === 0) {
+            this.showToast('Bu medya için altyazı yok');
+            return;
+        }
+
+        const active = player.getActiveCaptionLanguage() || 'off';
+
+        menu.innerHTML = sanitizeHTML`
+            ${[{ language: 'off', label: 'Kapalı' }, ...options].map(option => sanitizeHTML`
+                <button class="quality-option ${option.language === active ? 'active' : ''}"
+                        role="menuitemradio" aria-checked="${option.language === active}"
+                        data-caption-option="${option.language}">
+                    ${option.label}
+                </button>
+            `)}
+        `;
+
+        menu.hidden = false;
+        toggle.setAttribute('aria-expanded', 'true');
+        menu.querySelector('.quality-option.active, .quality-option')?.focus();
+    }
+
+    async selectCaptions(option) {
+        const captions = option.dataset.captionOption;
+        const player = this.getPlayerFor(option);
+
+        this.closePlayerMenus();
+
+        try {
+            await this.stateManager.updateUISettings({ captions });
+            this.logEvent('captions_change', {
+                videoId: player?.videoId,
+                captions
+            });
+        } catch (error) {
+            this.errorBoundary.handleComponentError('video_player', error, {
+                captions,
+                operation: 'captionsChange'
+            });
+        }
+    }
+
+    renderCaption(container, text) {
+        const display = container.querySelector('[data-caption-display]');
+        if (!display) return;
+
+        display.textContent = text;
+        display.hidden = !text;
+    }
+
+    createTextTracks(tracks = []) {
+        return sanitizeHTML`
+            ${tracks.map(track => sanitizeHTML`
+                <track kind="${track.kind === 'captions' ? 'captions' : 'subtitles'}" 
+                       src="${track.src}" srclang="${track.language}" label="${track.label || track.language}">
+            `)}
+        `;
+    }
+
+    createPlaybackControls(hasCaptions = false) {
+        const { muted, playbackRate, pictureInPicture } = this.stateManager.getUISettings();
+        const canUsePictureInPicture = pictureInPicture && !!document.pictureInPictureEnabled;
+
+        return sanitizeHTML`
+            <div class="playback-controls">
+                <div class="seek-bar" data-seek-bar role="slider" tabindex="0" aria-label="Video ilerlemesi"
+                     aria-valuemin="0" aria-valuemax="0" aria-valuenow="0" aria-valuetext="0:00">
+                    <div class="seek-buffered" data-seek-buffered></div>
+                    <div class="seek-progress" data-seek-progress></div>
+                </div>
+                <div class="playback-buttons">
+                    <button class="playback-btn" data-playback="toggle" aria-label="Oynat">
+                        <i class="fas fa-play"></i>
+                    </button>
+                    <span class="playback-time" data-playback-time>0:00 / 0:00</span>
+                    <button class="playback-btn" data-playback="rate" aria-label="Oynatma hızı">${playbackRate}x</button>
+                    ${hasCaptions ? sanitizeHTML`
+                        <div class="captions-control">
+                            <button class="playback-btn" data-captions-toggle aria-haspopup="menu" aria-expanded="false" aria-label="Altyazılar">
+                                <i class="fas fa-closed-captioning"></i>
+                            </button>
+                            <div class="captions-menu" role="menu" hidden></div>
+                        </div>
+                    ` : ''}
+                    <button class="playback-btn" data-playback="pip" aria-label="Resim içinde resim" ${canUsePictureInPicture ? '' : 'hidden'} disabled>
+                        <i class="fas fa-clone"></i>
+                    </button>
+                    <button class="playback-btn" data-playback="mute" aria-label="${muted ? 'Sesi aç' : 'Sesi kapat'}">
+                        <i class="fas ${muted ? 'fa-volume-mute' : 'fa-volume-up'}"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="seek-feedback" data-seek-feedback hidden></div>
+        `;
+    }
+
+    async handlePlaybackAction(action, element) {
+        const player = this.getPlayerFor(element);
+        if (!player) return;
+
+        try {
+            switch (action) {
+                case 'toggle':
+                    await player.togglePlay();
+                    break;
+                case 'mute': {
+                    // Apply to the element right away so unmuting counts as part of the user gesture
+                    const muted = !player.getPlaybackState().muted;
+                    player.setMuted(muted);
+                    await this.stateManager.updateUISettings({ muted });
+                    break;
+                }
+                case 'pip':
+                    await player.togglePictureInPicture();
+                    break;
+                case 'rate': {
+                    const current = PLAYBACK_RATES.indexOf(player.getPlaybackState().playbackRate);
+                    const playbackRate = PLAYBACK_RATES[(current + 1) % PLAYBACK_RATES.length];
+                    player.setPlaybackRate(playbackRate);
+                    await this.stateManager.updateUISettings({ playbackRate });
+                    this.logEvent('playback_rate_change', { videoId: player.videoId, playbackRate });
+                    break;
+                }
+            }
+        } catch (error) {
+            this.errorBoundary.handleComponentError('video_player', error, {
+                videoId: player.videoId,
+                operation: action
+            });
+        }
+    }
+
+    handleVideoTap(e, video) {
+        const player = this.getPlayerFor(video);
+        if (!player) return;
+
+        const now = performance.now();
+        const isDoubleTap = this.videoTap.timer && this.videoTap.video === video && now - this.videoTap.time < 300;
+
+        clearTimeout(this.videoTap.timer);
+
+        if (isDoubleTap) {
+            const rect = video.getBoundingClientRect();
+            const direction = e.clientX - rect.left < rect.width / 2 ? -1 : 1;
+
+            this.videoTap = { video: null, time: 0, timer: null };
+            player.seekBy(direction * SEEK_STEP_SECONDS);
+            this.showSeekFeedback(video, direction);
+            return;
+        }
+
+        // Wait briefly so a second tap can turn this into a seek instead of a pause
+        this.videoTap = {
+            video,
+            time: now,
+            timer: setTimeout(() => {
+                this.videoTap.timer = null;
+                player.togglePlay().catch(console.error);
+            }, 300)
+        };
+    }
+
+    showSeekFeedback(video, direction) {
+        const feedback = video.closest('.media-gallery')?.querySelector('[data-seek-feedback]');
+        if (!feedback) return;
+
+        feedback.innerHTML = sanitizeHTML`
+            <i class="fas ${direction < 0 ? 'fa-backward' : 'fa-forward'}"></i>
+            ${direction < 0 ? '-' : '+'}${SEEK_STEP_SECONDS} sn
+        `;
+        feedback.classList.toggle('backward', direction < 0);
+        feedback.hidden = false;
+
+        clearTimeout(this.seekFeedbackTimer);
+        this.seekFeedbackTimer = setTimeout(() => {
+            feedback.hidden = true;
+        }, 600);
+    }
+
+    startSeekDrag(e, bar) {
+        const player = this.getPlayerFor(bar);
+        if (!player) return;
+
+        const seekTo = (event) => {
+            const { duration } = player.getPlaybackState();
+            const rect = bar.getBoundingClientRect();
+            const fraction = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+            player.seek(fraction * duration);
+        };
+
+        const stop = () => {
+            bar.removeEventListener('pointermove', seekTo);
+            bar.removeEventListener('pointerup', stop);
+            bar.removeEventListener('pointercancel', stop);
+            bar.classList.remove('dragging');
+        };
+
+        bar.setPointerCapture(e.pointerId);
+        bar.classList.add('dragging');
+        bar.addEventListener('pointermove', seekTo);
+        bar.addEventListener('pointerup', stop);
+        bar.addEventListener('pointercancel', stop);
+
+        seekTo(e);
+    }
+
+    updatePlaybackControls(container, state) {
+        const controls = container.querySelector('.playback-controls');
+        if (!controls) return;
+
+        const progress = state.duration > 0 ? state.currentTime / state.duration : 0;
+        const bar = controls.querySelector('[data-seek-bar]');
+        const toggle = controls.querySelector('[data-playback="toggle"]');
+        const mute = controls.querySelector('[data-playback="mute"]');
+
+        controls.querySelector('[data-seek-progress]').style.transform = `scaleX(${progress})`;
+        bar.setAttribute('aria-valuemax', Math.round(state.duration));
+        bar.setAttribute('aria-valuenow', Math.round(state.currentTime));
+        bar.setAttribute('aria-valuetext', formatDuration(state.currentTime));
+
+        controls.querySelector('[data-playback-time]').textContent =
+            `${formatDuration(state.currentTime)} / ${formatDuration(state.duration)}`;
+
+        toggle.querySelector('i').className = `fas ${state.isPlaying ? 'fa-pause' : 'fa-play'}`;
+        toggle.setAttribute('aria-label', state.isPlaying ? 'Duraklat' : 'Oynat');
+
+        mute.querySelector('i').className = `fas ${state.muted ? 'fa-volume-mute' : 'fa-volume-up'}`;
+        mute.setAttribute('aria-label', state.muted ? 'Sesi aç' : 'Sesi kapat');
+
+        controls.querySelector('[data-playback="rate"]').textContent = `${state.playbackRate}x`;
+
+        // Picture-in-picture needs loaded metadata, which a click cannot wait for without losing the gesture
+        controls.querySelector('[data-playback="pip"]').disabled = !state.canPictureInPicture;
+
+        this.renderBufferedRanges(controls, state.buffered);
+    }
+
+    updatePictureInPictureButtons() {
+        const { pictureInPicture } = this.stateManager.getUISettings();
+
+        document.querySelectorAll('[data-playback="pip"]').forEach(button => {
+            button.hidden = !pictureInPicture || !document.pictureInPictureEnabled;
+        });
+    }
+
+    handleActivePlayback(container, state) {
+        const player = this.getPlayerFor(container);
+        if (!player) return;
+
+        if (state.isPlaying && this.mediaSession.player !== player) {
+            this.playbackCoordinator?.handlePlaying(player);
+            this.mediaSession.player = player;
+            this.updateMediaSession(player).catch(console.error);
+        }
+
+        if (this.mediaSession.player === player) {
+            this.updateMediaSessionState(state);
+        }
+    }
+
+    async updateMediaSession(player) {
+        if (!('mediaSession' in navigator)) return;
+
+        const videoId = player.videoId;
+        const video = this.stateManager.state.videos.get(videoId) || await this.stateManager.getVideo(videoId);
+        if (!video || this.mediaSession.player !== player || player.videoId !== videoId) return;
+
+        const media = video.media?.[player.currentMediaIndex] || video.media?.[0];
+        const artwork = media?.poster || media?.thumbnail;
+
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: truncateText(video.caption || APP_NAME, 100),
+            artist: video.user?.name || '',
+            album: APP_NAME,
+            artwork: artwork ? [{ src: artwork }] : []
+        });
+
+        const inFeed = this.videoPlayers.get(videoId) === player;
+        const handlers = {
+            play: () => player.play().catch(console.error),
+            pause: () => player.pause(),
+            seekbackward: () => player.seekBy(-SEEK_STEP_SECONDS),
+            seekforward: () => player.seekBy(SEEK_STEP_SECONDS),
+            seekto: (details) => player.seek(details.seekTime),
+            previoustrack: inFeed ? () => this.navigateFeed(-1, 'media_session') : null,
+            nexttrack: inFeed ? () => this.navigateFeed(1, 'media_session') : null
+        };
+
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (error) {
+                console.warn(`Media session action ${action} not supported`);
+            }
+        });
+    }
+
+    updateMediaSessionState(state) {
+        if (!('mediaSession' in navigator)) return;
+
+        navigator.mediaSession.playbackState = state.isPlaying ? 'playing' : 'paused';
+
+        if (state.duration > 0 && navigator.mediaSession.setPositionState) {
+            try {
+                navigator.mediaSession.setPositionState({
+                    duration: state.duration,
+                    position: Math.min(state.currentTime, state.duration),
+                    playbackRate: state.playbackRate
+                });
+            } catch (error) {
+                console.warn('Media session position update failed:', error);
+            }
+        }
+    }
+
+    navigateFeed(direction, source) {
+        if (!this.playbackCoordinator) return;
+
+        const fromId = this.playbackCoordinator.getActiveKey();
+        // Media keys keep working from the lock screen, where the feed can't be scrolled into view normally
+        const target = this.playbackCoordinator.go(direction, {
+            immediate: document.hidden,
+            play: source === 'media_session'
+        });
+
+        if (target) {
+            this.logEvent('feed_navigate', { from: fromId, to: target, direction, source });
+        }
+    }
+
+    renderBufferedRanges(controls, ranges = []) {
+        const buffered = controls.querySelector('[data-seek-buffered]');
+
+        buffered.innerHTML = sanitizeHTML`
+            ${ranges.map(range => sanitizeHTML`
+                <span style="left: ${range.start * 100}%; width: ${(range.end - range.start) * 100}%"></span>
+            `)}
+        `;
+    }
+
+    async updatePushSubscription(enabled) {
+        if (!('serviceWorker' in navigator) || !('PushManager' in window)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            const subscription = await registration.pushManager.getSubscription();
+
+            if (enabled && !subscription) {
+                if (!VAPID_PUBLIC_KEY) {
+                    console.warn('Push subscription skipped: VAPID public key is not configured');
+                    return;
+                }
+
+                const permission = await Notification.requestPermission();
+                if (permission !== 'granted') {
+                    this.showToast('Bildirim izni verilmedi');
+                    await this.stateManager.updateUISettings({ notifications: false });
+                    return;
+                }
+
+                const newSubscription = await registration.pushManager.subscribe({
+                    userVisibleOnly: true,
+                    applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY)
+                });
+
+                await this.stateManager.apiRequest('/push/subscriptions', {
+                    method: 'POST',
+                    body: JSON.stringify(newSubscription)
+                });
+            } else if (!enabled && subscription) {
+                await subscription.unsubscribe();
+
+                await this.stateManager.apiRequest('/push/subscriptions', {
+                    method: 'DELETE',
+                    body: JSON.stringify({ endpoint: subscription.endpoint })
+                });
+            }
+        } catch (error) {
+            console.warn('Push subscription update failed:', error);
+        }
+    }
+
+    async loadVideoPage(videoId) {
+        const container = document.getElementById('videoPage');
+        if (!container) return;
+
+        const video = await this.stateManager.getVideo(videoId);
+
+        if (!video) {
+            container.innerHTML = sanitizeHTML`
+                <div class="video-detail-header">
+                    <button class="btn btn-icon" id="videoBack" data-route-back aria-label="Geri">
+                        <i class="fas fa-arrow-left"></i>
+                    </button>
+                </div>
+                <p class="empty-state">Video bulunamadı</p>
+            `;
+            return;
+        }
+
+        this.detailVideo = video;
+
+        container.innerHTML = sanitizeHTML`
+            <div class="video-detail-header">
+                <button class="btn btn-icon" id="videoBack" data-route-back aria-label="Geri">
+                    <i class="fas fa-arrow-left"></i>
+                </button>
+            </div>
+            <article class="video-detail" data-video-id="${video.id}">
+                <div class="video-player-container">
+                    ${this.createMediaGallery(video)}
+                </div>
+                <div class="video-detail-body">
+                    <div class="video-author">
+                        ${this.createAuthorLink(video.user)}
+                        ${this.createFollowButton(video.user)}
+                    </div>
+                    <p class="video-detail-caption">${video.caption}</p>
+                    <div class="video-detail-stats">
+                        <span><i class="fas fa-heart" aria-hidden="true"></i> ${formatCount(video.likes || 0)}</span>
+                        <span><i class="fas fa-comment" aria-hidden="true"></i> <span data-comment-count="${video.id}">${formatCount(video.comments || 0)}</span></span>
+                        <span><i class="fas fa-share" aria-hidden="true"></i> ${formatCount(video.shares || 0)}</span>
+                        <span>${formatTime(video.timestamp)}</span>
+                    </div>
+                    <div class="video-detail-actions">
+                        <button class="btn ${this.stateManager.isVideoLiked(video.id) ? '' : 'btn-outline'}" 
+                                data-video-action="like" data-video-id="${video.id}">
+                            <i class="fas fa-heart"></i> Beğen
+                        </button>
+                        <button class="btn btn-outline" data-video-action="comment" data-video-id="${video.id}">
+                            <i class="fas fa-comment"></i> Yorumlar
+                        </button>
+                        <button class="btn btn-outline" data-video-action="share" data-video-id="${video.id}">
+                            <i class="fas fa-share"></i> Paylaş
+                        </button>
+                        <button class="btn ${this.stateManager.isVideoSaved(video.id) ? '' : 'btn-outline'}" 
+                                data-video-action="save" data-video-id="${video.id}">
+                            <i class="fas fa-bookmark"></i> Kaydet
+                        </button>
+                    </div>
+                </div>
+            </article>
+        `;
+
+        try {
+            this.detailPlayer = this.createVideoPlayer(container.querySelector('.video-detail'));
+        } catch (error) {
+            this.errorBoundary.handleComponentError('video_player', error, {
+                videoId: video.id,
+                operation: 'detail_initialization'
+            });
         }
-        this.eventListeners.get(key).push({ target: actualTarget, event, handler });
-    }
 
-    setupPerformanceOptimizations() {
-        this.setupVirtualScrolling();
-        this.prefetchResources();
-        this.setupMemoryMonitoring();
-        this.setupLazyLoading();
+        this.logEvent('video_detail_view', { videoId: video.id });
     }
 
-    setupVirtualScrolling() {
-        this.virtualScroll.container = document.getElementById('videoFeed');
-        
-        if (this.virtualScroll.container) {
-            this.addEventListener(this.virtualScroll.container, 'scroll',
-                throttle(() => this.renderVisibleVideos(), 100)
-            );
+    async loadUserPage(userId) {
+        const container = document.getElementById('userPage');
+        if (!container) return;
+
+        const [profile, videos] = await Promise.all([
+            this.stateManager.getUserProfile(userId),
+            this.stateManager.getUserVideos(userId)
+        ]);
+
+        if (!profile) {
+            this.creator.profile = null;
+            container.innerHTML = sanitizeHTML`
+                <div class="video-detail-header">
+                    <button class="btn btn-icon" data-route-back aria-label="Geri">
+                        <i class="fas fa-arrow-left"></i>
+                    </button>
+                </div>
+                <p class="empty-state">Kullanıcı bulunamadı</p>
+            `;
+            return;
         }
-    }
 
-    renderVisibleVideos() {
-        if (!this.virtualScroll.container) return;
+        this.creator.profile = profile;
+        this.creator.followedAtLoad = this.stateManager.isUserFollowed(profile.id);
 
-        const scrollTop = this.virtualScroll.container.scrollTop;
-        const containerHeight = this.virtualScroll.container.clientHeight;
-        
-        const startIdx = Math.max(0, Math.floor(scrollTop / this.virtualScroll.itemHeight) - this.virtualScroll.buffer);
-        const endIdx = Math.min(
-            this.stateManager.state.videos.size,
-            startIdx + Math.ceil(containerHeight / this.virtualScroll.itemHeight) + this.virtualScroll.buffer * 2
-        );
+        const items = Array.from(videos.values());
+
+        container.innerHTML = sanitizeHTML`
+            <div class="video-detail-header">
+                <button class="btn btn-icon" data-route-back aria-label="Geri">
+                    <i class="fas fa-arrow-left"></i>
+                </button>
+            </div>
+            <div class="profile-header">
+                <img class="profile-avatar" src="${profile.avatar || '/assets/demo-avatar.jpg'}" alt="">
+                <div class="profile-info">
+                    <h2 class="profile-name">${profile.name}</h2>
+                    <div class="creator-stats">
+                        <span><strong data-follower-count>${formatCount(profile.followers || 0)}</strong> takipçi</span>
+                        <span><strong>${formatCount(profile.following || 0)}</strong> takip</span>
+                        <span><strong>${formatCount(profile.videoCount ?? items.length)}</strong> video</span>
+                    </div>
+                    ${this.createFollowButton(profile)}
+                </div>
+            </div>
+            <div class="video-grid">
+                ${items.length > 0 
+                    ? items.map(video => this.createVideoTile(video)) 
+                    : sanitizeHTML`<p class="empty-state">Henüz video yok</p>`}
+            </div>
+        `;
 
-        this.renderVideoRange(startIdx, endIdx);
+        this.observeLazyImages(container);
+        this.logEvent('creator_view', { userId: profile.id });
     }
 
-    renderVideoRange(startIdx, endIdx) {
-        const videos = Array.from(this.stateManager.state.videos.values())
-            .slice(startIdx, endIdx);
-        
-        const feed = document.getElementById('videoFeed');
-        if (!feed) return;
+    updateFollowerCount() {
+        const profile = this.creator.profile;
+        const label = document.querySelector('#userPage [data-follower-count]');
+        if (!profile || !label) return;
 
-        const fragment = document.createDocumentFragment();
-        
-        videos.forEach((video, relativeIndex) => {
-            const absoluteIndex = startIdx + relativeIndex;
-            const element = this.createVideoElement(video, absoluteIndex);
-            fragment.appendChild(element);
-        });
+        const followed = this.stateManager.isUserFollowed(profile.id);
+        const delta = Number(followed) - Number(this.creator.followedAtLoad);
+        label.textContent = formatCount(Math.max(0, (profile.followers || 0) + delta));
+    }
 
-        feed.innerHTML = '';
-        feed.appendChild(fragment);
+    createAuthorLink(user) {
+        if (!user?.id) return '';
 
-        this.initializeVideoPlayers();
+        return sanitizeHTML`
+            <button class="video-author-link" data-open-user="${user.id}" aria-label="${user.name} profili">
+                <img class="video-author-avatar" src="${user.avatar}" alt="">
+                <span class="video-author-name">${user.name}</span>
+            </button>
+        `;
     }
 
-    setupLazyLoading() {
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const videoContainer = entry.target;
-                    this.loadVideoContent(videoContainer);
-                    observer.unobserve(videoContainer);
-                }
-            });
-        }, { 
-            rootMargin: '100px 0px',
-            threshold: 0.1 
-        });
+    async openUser(userId) {
+        await this.router.navigate(`/user/${encodeURIComponent(userId)}`);
+    }
 
-        document.querySelectorAll('.video-container').forEach(container => {
-            observer.observe(container);
-        });
+    async openVideo(videoId) {
+        await this.router.navigate(`/video/${encodeURIComponent(videoId)}`);
     }
 
-    async initializeUI() {
-        if (this.authManager.isAuthenticated || this.authManager.isDemoMode) {
-            await this.showMainApp();
-        } else {
-            this.showWelcomeScreen();
+    observeLazyImages(root) {
+        if (!this.lazyImageObserver) {
+            this.lazyImageObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        const img = entry.target;
+                        img.src = img.dataset.src;
+                        delete img.dataset.src;
+                        this.lazyImageObserver.unobserve(img);
+                    }
+                });
+            }, { 
+                rootMargin: '100px 0px',
+                threshold: 0.1 
+            });
         }
 
-        const savedTheme = this.stateManager.state.ui.theme;
-        this.setTheme(savedTheme || 'dark');
+        root.querySelectorAll('img[data-src]').forEach(img => {
+            this.lazyImageObserver.observe(img);
+        });
     }
 
-    async showMainApp() {
-        try {
-            document.getElementById('welcomeScreen').style.display = 'none';
-            document.getElementById('mainHeader').style.display = 'flex';
-            document.getElementById('mainContent').style.display = 'block';
-            document.getElementById('bottomNav').style.display = 'flex';
-            
-            await this.loadCurrentPage();
-            
-        } catch (error) {
-            this.errorBoundary.handleComponentError('ui_manager', error, {
-                operation: 'showMainApp'
-            });
+    renderVideoFeed(videos) {
+        const items = this.getHomeFeedVideos(videos);
+        this.virtualScroll.feed?.setItems(items);
+
+        const empty = document.getElementById('followingEmpty');
+        if (empty) {
+            empty.hidden = this.homeFeed.mode !== 'following' || items.length > 0;
         }
     }
 
-    showWelcomeScreen() {
-        document.getElementById('welcomeScreen').style.display = 'flex';
-        document.getElementById('mainHeader').style.display = 'none';
-        document.getElementById('mainContent').style.display = 'none';
-        document.getElementById('bottomNav').style.display = 'none';
+    getHomeFeedVideos(videos) {
+        const items = Array.from(videos.values());
+        if (this.homeFeed.mode !== 'following') return items;
+
+        const followedUsers = this.stateManager.state.followedUsers;
+        return items.filter(video => followedUsers.has(video.user?.id));
     }
 
-    async switchPage(page) {
-        if (this.currentPage === page) return;
-        
-        this.logEvent('page_navigation', {
-            from: this.currentPage,
-            to: page
+    setFeedMode(mode) {
+        if (mode === this.homeFeed.mode) return;
+
+        this.homeFeed.mode = mode;
+
+        document.querySelectorAll('[data-feed-mode]').forEach(tab => {
+            const isActive = tab.dataset.feedMode === mode;
+            tab.classList.toggle('active', isActive);
+            tab.setAttribute('aria-selected', String(isActive));
         });
 
-        await this.cleanupPage(this.currentPage);
-        
-        this.currentPage = page;
-        await this.loadCurrentPage();
+        window.scrollTo(0, 0);
+        this.renderVideoFeed(this.stateManager.state.videos);
+        this.logEvent('feed_mode_change', { mode });
     }
 
-    async loadCurrentPage() {
+    createFollowButton(user) {
+        if (!user?.id || user.id === this.authManager.userInfo?.id) return '';
+
+        const following = this.stateManager.isUserFollowed(user.id);
+
+        return sanitizeHTML`
+            <button class="follow-btn ${following ? 'following' : ''}" data-follow-user="${user.id}" 
+                    aria-pressed="${following}">
+                ${following ? 'Takip Ediliyor' : 'Takip Et'}
+            </button>
+        `;
+    }
+
+    updateFollowButtons() {
+        document.querySelectorAll('[data-follow-user]').forEach(button => {
+            const following = this.stateManager.isUserFollowed(button.dataset.followUser);
+            button.classList.toggle('following', following);
+            button.setAttribute('aria-pressed', String(following));
+            button.textContent = following ? 'Takip Ediliyor' : 'Takip Et';
+        });
+    }
+
+    async toggleFollow(userId) {
+        const following = !this.stateManager.isUserFollowed(userId);
+
         try {
-            switch (this.currentPage) {
-                case 'home':
-                    await this.loadHomePage();
-                    break;
-                case 'explore':
-                    await this.loadExplorePage();
-                    break;
-                case 'profile':
-                    await this.loadProfilePage();
-                    break;
-                case 'analytics':
-                    await this.loadAnalyticsPage();
-                    break;
+            if (following) {
+                await this.stateManager.followUser(userId);
+            } else {
+                await this.stateManager.unfollowUser(userId);
             }
+
+            this.logEvent('user_follow', { userId, following });
+            this.showToast(following ? 'Takip edildi' : 'Takipten çıkıldı');
         } catch (error) {
-            this.errorBoundary.handleComponentError('page_loader', error, {
-                page: this.currentPage
+            this.errorBoundary.handleComponentError('follow', error, {
+                userId,
+                following
             });
         }
     }
 
-    async loadHomePage() {
-        const videos = await this.stateManager.getVideos();
-        this.renderVideoFeed(videos);
-    }
-
-    renderVideoFeed(videos) {
-        const feed = document.getElementById('videoFeed');
-        if (!feed) return;
-
-        const visibleVideos = Array.from(videos.values()).slice(0, 10);
-        
-        feed.innerHTML = visibleVideos.map((video, index) => 
-            this.createVideoElement(video, index)
-        ).join('');
-
-        this.initializeVideoPlayers();
+    updateVideoItem(element, video, index) {
+        // Mounted items are patched in place so a playing video is not torn down for a count change
+        element.dataset.videoIndex = index;
+        element.querySelector('.video-caption').textContent = video.caption;
+        element.querySelector('[data-like-count]').textContent = `${formatCount(video.likes)} beğeni`;
+        element.querySelector('[data-comment-count]').textContent = formatCount(video.comments || 0);
+
+        const author = element.querySelector('.video-author');
+        author.innerHTML = sanitizeHTML`
+            ${this.createAuthorLink(video.user)}
+            ${this.createFollowButton(video.user)}
+        `;
     }
 
     createVideoElement(video, index) {
@@ -313,9 +2847,13 @@ class SocialFlowApp {
                 <div class="video-player-container">
                     ${this.createMediaGallery(video)}
                     <div class="video-overlay">
+                        <div class="video-author">
+                            ${this.createAuthorLink(video.user)}
+                            ${this.createFollowButton(video.user)}
+                        </div>
                         <div class="video-caption">${video.caption}</div>
                         <div class="video-stats">
-                            <span>${formatCount(video.likes)} beğeni</span>
+                            <span data-like-count>${formatCount(video.likes)} beğeni</span>
                             <span>${formatTime(video.timestamp)}</span>
                         </div>
                     </div>
@@ -323,6 +2861,10 @@ class SocialFlowApp {
                         <button class="btn" data-video-action="like" data-video-id="${video.id}">
                             <i class="fas fa-heart"></i>
                         </button>
+                        <button class="btn" data-video-action="comment" data-video-id="${video.id}" aria-label="Yorumlar">
+                            <i class="fas fa-comment"></i>
+                            <span class="action-count" data-comment-count="${video.id}">${formatCount(video.comments || 0)}</span>
+                        </button>
                         <button class="btn" data-video-action="share" data-video-id="${video.id}">
                             <i class="fas fa-share"></i>
                         </button>
@@ -341,16 +2883,26 @@ class SocialFlowApp {
         return sanitizeHTML`
             <div class="media-gallery">
                 <div class="media-container" style="transform: translateX(-${currentIndex * 100}%)">
-                    ${video.media.map((media, mediaIndex) => `
+                    ${video.media.map((media, mediaIndex) => sanitizeHTML`
                         <div class="media-item ${mediaIndex === currentIndex ? 'active' : ''}">
                             ${media.type === 'video' ? 
-                                `<video data-src="${escapeHTML(media.url)}" preload="none" playsinline muted></video>` :
-                                `<img data-src="${escapeHTML(media.thumbnail)}" alt="${escapeHTML(video.caption)}" loading="lazy">`
+                                sanitizeHTML`<video data-src="${media.url}" 
+                                                    data-sources="${media.sources ? JSON.stringify(media.sources) : ''}" 
+                                                    poster="${media.poster || media.thumbnail || ''}"
+                                                    preload="none" playsinline muted ${media.tracks?.length ? 'crossorigin' : ''}>
+                                                    ${this.createTextTracks(media.tracks)}
+                                                </video>` :
+                                sanitizeHTML`<img data-src="${media.thumbnail}" alt="${video.caption}" loading="lazy">`
                             }
                         </div>
-                    `).join('')}
+                    `)}
                 </div>
                 ${video.media.length > 1 ? this.createGalleryControls(video, currentIndex) : ''}
+                ${video.media.some(media => media.type === 'video') ? sanitizeHTML`
+                    <div class="caption-display" data-caption-display hidden></div>
+                    ${this.createQualityControl()}
+                    ${this.createPlaybackControls(video.media.some(media => media.tracks?.length))}
+                ` : ''}
             </div>
         `;
     }
@@ -359,12 +2911,12 @@ class SocialFlowApp {
         return sanitizeHTML`
             <div class="gallery-controls">
                 <div class="gallery-indicator">
-                    ${video.media.map((_, i) => `
+                    ${video.media.map((_, i) => sanitizeHTML`
                         <button class="indicator-dot ${i === currentIndex ? 'active' : ''}" 
                                 onclick="app.switchMedia('${video.id}', ${i})"
                                 aria-label="${i + 1}. medyaya geç">
                         </button>
-                    `).join('')}
+                    `)}
                 </div>
                 <div class="media-count">
                     ${currentIndex + 1} / ${video.media.length}
@@ -374,32 +2926,66 @@ class SocialFlowApp {
     }
 
     initializeVideoPlayers() {
-        document.querySelectorAll('.video-container').forEach(container => {
-            const videoId = container.dataset.videoId;
-            
-            if (!this.videoPlayers.has(videoId)) {
-                try {
-                    const player = new AdvancedVideoPlayer(container);
-                    this.videoPlayers.set(videoId, player);
-                    
-                    player.onLoad((loadTime) => {
-                        this.logEvent('video_load', {
-                            videoId,
-                            loadTime,
-                            success: true
-                        });
-                    });
-                    
-                } catch (error) {
-                    this.errorBoundary.handleComponentError('video_player', error, {
-                        videoId,
-                        operation: 'initialization'
-                    });
-                }
-            }
+        this.virtualScroll.feed?.mounted.forEach(({ content }) => {
+            this.attachVideoPlayer(content);
+            this.playbackCoordinator?.observe(content);
         });
     }
 
+    createVideoPlayer(container, { managed = false } = {}) {
+        const player = new AdvancedVideoPlayer(container, { ...this.getPlayerSettings(), managed });
+
+        player.onLoad((loadTime) => {
+            this.logEvent('video_load', {
+                videoId: player.videoId,
+                loadTime,
+                success: true
+            });
+            this.updateQualityLabels();
+        });
+
+        player.onViewEnd((view) => this.recordView(view));
+
+        return player;
+    }
+
+    attachVideoPlayer(container) {
+        const videoId = container.dataset.videoId;
+        if (this.videoPlayers.has(videoId)) return;
+
+        try {
+            let player = this.playerPool.pop();
+
+            if (player) {
+                player.updateSettings(this.getPlayerSettings());
+                player.attach(container);
+            } else {
+                player = this.createVideoPlayer(container, { managed: true });
+            }
+
+            this.videoPlayers.set(videoId, player);
+        } catch (error) {
+            this.errorBoundary.handleComponentError('video_player', error, {
+                videoId,
+                operation: 'initialization'
+            });
+        }
+    }
+
+    releaseVideoPlayer(videoId) {
+        const player = this.videoPlayers.get(videoId);
+        if (!player) return;
+
+        this.videoPlayers.delete(videoId);
+
+        if (this.playerPool.length < this.virtualScroll.maxPooledPlayers) {
+            player.detach();
+            this.playerPool.push(player);
+        } else {
+            player.destroy();
+        }
+    }
+
     async switchMedia(videoId, mediaIndex) {
         try {
             this.stateManager.setCurrentMediaIndex(videoId, mediaIndex);
@@ -410,6 +2996,7 @@ class SocialFlowApp {
             }
             
             this.updateGalleryUI(videoId, mediaIndex);
+            this.updateQualityLabels();
         } catch (error) {
             this.errorBoundary.handleComponentError('video_player', error, {
                 videoId,
@@ -455,6 +3042,10 @@ class SocialFlowApp {
                 case 'save':
                     await this.saveVideo(videoId);
                     break;
+
+                case 'comment':
+                    await this.openComments(videoId);
+                    break;
             }
         } catch (error) {
             this.errorBoundary.handleComponentError('video_action', error, {
@@ -464,6 +3055,154 @@ class SocialFlowApp {
         }
     }
 
+    async openComments(videoId) {
+        const sheet = document.getElementById('commentsSheet');
+        if (!sheet) return;
+
+        this.commentsSheet.videoId = videoId;
+        this.commentsSheet.returnFocus = document.activeElement;
+
+        sheet.hidden = false;
+        document.body.classList.add('sheet-open');
+        this.renderComments();
+        this.setupCommentsPagination(sheet);
+
+        sheet.querySelector('#commentForm [name="text"]')?.focus();
+        this.logEvent('comments_open', { videoId });
+
+        await this.stateManager.loadComments(videoId, { reset: true });
+    }
+
+    closeComments() {
+        const sheet = document.getElementById('commentsSheet');
+        if (!sheet || !this.commentsSheet.videoId) return;
+
+        this.commentsSheet.observer?.disconnect();
+        this.commentsSheet.observer = null;
+        this.commentsSheet.videoId = null;
+
+        sheet.hidden = true;
+        document.body.classList.remove('sheet-open');
+
+        this.commentsSheet.returnFocus?.focus?.();
+        this.commentsSheet.returnFocus = null;
+    }
+
+    setupCommentsPagination(sheet) {
+        const sentinel = sheet.querySelector('.comments-sentinel');
+        const root = sheet.querySelector('.comments-body');
+        if (!sentinel || !root) return;
+
+        this.commentsSheet.observer = new IntersectionObserver((entries) => {
+            const videoId = this.commentsSheet.videoId;
+            const thread = this.stateManager.state.comments.get(videoId);
+
+            if (entries[0].isIntersecting && thread && !thread.isLoading && thread.hasMore) {
+                this.stateManager.loadComments(videoId);
+            }
+        }, { root, rootMargin: '0px 0px 200px 0px' });
+
+        this.commentsSheet.observer.observe(sentinel);
+    }
+
+    renderComments() {
+        const videoId = this.commentsSheet.videoId;
+        const list = document.getElementById('commentsList');
+        const sentinel = document.querySelector('#commentsSheet .comments-sentinel');
+        if (!list) return;
+
+        const thread = this.stateManager.state.comments.get(videoId);
+        const comments = thread?.items || [];
+        const isLoading = !thread || thread.isLoading;
+
+        if (comments.length === 0 && !isLoading) {
+            list.innerHTML = sanitizeHTML`<li class="empty-state">Henüz yorum yok. İlk yorumu sen yaz!</li>`;
+        } else {
+            list.innerHTML = sanitizeHTML`${comments.map(comment => this.createCommentElement(comment))}`;
+        }
+
+        sentinel?.classList.toggle('loading', isLoading);
+        sentinel?.toggleAttribute('hidden', !isLoading && !thread?.hasMore);
+        this.updateCommentCountLabels(videoId);
+
+        // Short threads never leave the sentinel, so re-observe to fetch the next page
+        if (sentinel && this.commentsSheet.observer && thread && !isLoading && thread.hasMore) {
+            this.commentsSheet.observer.unobserve(sentinel);
+            this.commentsSheet.observer.observe(sentinel);
+        }
+    }
+
+    createCommentElement(comment) {
+        return sanitizeHTML`
+            <li class="comment ${comment.pending ? 'pending' : ''}" data-comment-id="${comment.id}">
+                <img class="comment-avatar" src="${comment.user?.avatar || '/assets/demo-avatar.jpg'}" alt="">
+                <div class="comment-body">
+                    <div class="comment-meta">
+                        <span class="comment-author">${comment.user?.name || 'Misafir'}</span>
+                        <span class="comment-time">${comment.pending ? 'Gönderiliyor...' : formatTime(comment.timestamp)}</span>
+                    </div>
+                    <p class="comment-text">${comment.text}</p>
+                </div>
+            </li>
+        `;
+    }
+
+    updateCommentCountLabels(videoId, delta = 0) {
+        let video = this.stateManager.state.videos.get(videoId);
+
+        // Videos opened from a link are not in the feed state, so the detail page keeps its own count in step
+        if (!video && this.detailVideo?.id === videoId) {
+            this.detailVideo = {
+                ...this.detailVideo,
+                comments: Math.max(0, (this.detailVideo.comments || 0) + delta)
+            };
+            video = this.detailVideo;
+        }
+
+        if (!video) return;
+
+        document.querySelectorAll('[data-comment-count]').forEach(label => {
+            if (label.dataset.commentCount === videoId) {
+                label.textContent = formatCount(video.comments || 0);
+            }
+        });
+    }
+
+    async submitComment(form) {
+        const videoId = this.commentsSheet.videoId;
+        const input = form.elements.text;
+        const text = input.value.trim();
+
+        if (!videoId || !text) return;
+
+        if (text.length > COMMENT_MAX_LENGTH) {
+            this.showToast(`Yorum en fazla ${COMMENT_MAX_LENGTH} karakter olabilir`);
+            return;
+        }
+
+        input.value = '';
+
+        try {
+            await this.stateManager.addComment(videoId, text, this.authManager.userInfo);
+            this.updateCommentCountLabels(videoId, 1);
+
+            const queued = !this.stateManager.state.online;
+            this.logEvent('comment_post', { videoId, queued });
+
+            if (queued) {
+                this.showToast('Yorumun çevrimiçi olduğunda gönderilecek');
+            }
+        } catch (error) {
+            input.value = text;
+            this.updateCommentCountLabels(videoId);
+            this.showToast('Yorum gönderilemedi');
+            this.errorBoundary.handleComponentError('comments', error, {
+                videoId,
+                operation: 'post'
+            });
+        }
+    }
+
     async shareVideo(videoId) {
         if (navigator.share) {
             try {
@@ -490,8 +3229,9 @@ class SocialFlowApp {
     }
 
     async saveVideo(videoId) {
-        this.showToast('Video kaydedildi!');
-        this.logEvent('video_save', { videoId });
+        const saved = await this.stateManager.saveVideo(videoId);
+        this.showToast(saved ? 'Video kaydedildi!' : 'Kayıt kaldırıldı');
+        this.logEvent('video_save', { videoId, saved });
     }
 
     showToast(message) {
@@ -520,6 +3260,8 @@ class SocialFlowApp {
     async recoverVideoPlayers() {
         this.videoPlayers.forEach(player => player.destroy());
         this.videoPlayers.clear();
+        this.playerPool.forEach(player => player.destroy());
+        this.playerPool = [];
         this.initializeVideoPlayers();
     }
 
@@ -548,6 +3290,7 @@ class SocialFlowApp {
         if (online) {
             this.showToast('Çevrimiçi');
             this.stateManager.syncPendingActions();
+            this.flushViewSessions();
         } else {
             this.showToast('Çevrimdışı mod');
         }
@@ -555,7 +3298,10 @@ class SocialFlowApp {
 
     handleVisibilityChange() {
         if (document.hidden) {
-            this.pauseAllVideos();
+            const backgroundPlayer = this.getBackgroundPlayer();
+            this.pauseAllVideos(backgroundPlayer);
+            this.endViewSessions(backgroundPlayer);
+            this.flushViewSessions({ keepalive: true });
             this.stateManager.saveToStorageDebounced();
         } else {
             this.resumeVideos();
@@ -563,32 +3309,41 @@ class SocialFlowApp {
     }
 
     handleResize() {
-        this.renderVisibleVideos();
+        this.virtualScroll.feed?.update();
     }
 
-    pauseAllVideos() {
+    pauseAllVideos(except = null) {
         this.videoPlayers.forEach(player => {
-            player.pause();
+            if (player !== except) {
+                player.pause();
+            }
         });
     }
 
+    getBackgroundPlayer() {
+        const player = this.mediaSession.player;
+        if (!player?.container || !player.isPlaying) return null;
+
+        if (player.isInPictureInPicture()) return player;
+        return this.stateManager.getUISettings().backgroundPlayback ? player : null;
+    }
+
     resumeVideos() {
-        this.videoPlayers.forEach((player, videoId) => {
-            const container = document.querySelector(`[data-video-id="${videoId}"]`);
-            if (container && isElementInViewport(container)) {
-                player.play().catch(console.error);
-            }
-        });
+        this.playbackCoordinator?.resume().catch(console.error);
     }
 
-    toggleTheme() {
+    async toggleTheme() {
         const currentTheme = this.stateManager.state.ui.theme;
         const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
         
         this.setTheme(newTheme);
-        this.stateManager.setState({
-            ui: { ...this.stateManager.state.ui, theme: newTheme }
-        });
+
+        try {
+            await this.stateManager.updateUISettings({ theme: newTheme });
+        } catch (error) {
+            console.error('Theme save error:', error);
+            this.showToast('Tema tercihi kaydedilemedi');
+        }
     }
 
     setTheme(theme) {
@@ -635,14 +3390,58 @@ class SocialFlowApp {
         }
     }
 
-    cleanupUnusedResources() {
-        this.videoPlayers.forEach((player, videoId) => {
-            const container = document.querySelector(`[data-video-id="${videoId}"]`);
-            if (!container || !isElementInViewport(container)) {
-                player.destroy();
-                this.videoPlayers.delete(videoId);
+    setupViewTracking() {
+        this.viewTracking.flushTimer = setInterval(() => {
+            this.flushViewSessions();
+        }, VIEW_TRACKING.FLUSH_INTERVAL);
+    }
+
+    recordView(view) {
+        this.logEvent('video_view', view);
+
+        const queue = this.viewTracking.queue;
+        queue.push(view);
+
+        if (queue.length > VIEW_TRACKING.MAX_QUEUE) {
+            queue.splice(0, queue.length - VIEW_TRACKING.MAX_QUEUE);
+        }
+
+        if (queue.length >= VIEW_TRACKING.BATCH_SIZE) {
+            this.flushViewSessions();
+        }
+    }
+
+    endViewSessions(except = null) {
+        [...this.videoPlayers.values(), this.detailPlayer].forEach(player => {
+            if (player && player !== except) {
+                player.endViewSession('page_hidden');
             }
         });
+    }
+
+    async flushViewSessions({ keepalive = false } = {}) {
+        const tracking = this.viewTracking;
+        if (tracking.queue.length === 0 || !this.stateManager.state.online) return;
+        // Unload flushes go out even while a regular flush is in flight, since the page may not survive it
+        if (tracking.isFlushing && !keepalive) return;
+
+        const views = tracking.queue.splice(0, tracking.queue.length);
+        tracking.isFlushing = true;
+
+        try {
+            await this.stateManager.sendViewSessions(views, { keepalive });
+        } catch (error) {
+            console.warn('View session flush failed:', error);
+            tracking.queue.unshift(...views);
+            tracking.queue.splice(VIEW_TRACKING.MAX_QUEUE);
+        } finally {
+            tracking.isFlushing = false;
+        }
+    }
+
+    cleanupUnusedResources() {
+        this.playerPool.forEach(player => player.destroy());
+        this.playerPool = [];
 
         this.stateManager.invalidateCache('videos');
     }
@@ -657,6 +3456,23 @@ class SocialFlowApp {
                 .catch(registrationError => {
                     console.log('SW registration failed: ', registrationError);
                 });
+
+            this.addEventListener(navigator.serviceWorker, 'message', (event) => {
+                this.handleServiceWorkerMessage(event.data);
+            }, { signal: this.abortController.signal });
+        }
+    }
+
+    handleServiceWorkerMessage(message) {
+        switch (message?.type) {
+            case 'NAVIGATE':
+                if (message.url) {
+                    const url = new URL(message.url, window.location.origin);
+                    if (url.origin === window.location.origin) {
+                        this.router.navigate(url.pathname + url.search);
+                    }
+                }
+                break;
         }
     }
 
@@ -665,6 +3481,16 @@ class SocialFlowApp {
             case 'home':
                 this.pauseAllVideos();
                 break;
+            case 'video':
+                this.detailPlayer?.destroy();
+                this.detailPlayer = null;
+                this.detailVideo = null;
+                document.getElementById('videoPage').innerHTML = '';
+                break;
+            case 'user':
+                this.creator.profile = null;
+                document.getElementById('userPage').innerHTML = '';
+                break;
         }
     }
 
@@ -675,9 +3501,11 @@ class SocialFlowApp {
             ...data
         };
 
-        if (window.gtag) {
-            gtag('event', eventName, data);
-        }
+        this.telemetry.track('event', event);
+
+        this.eventStore.add(event).catch(error => {
+            console.warn('Event persist failed:', error);
+        });
 
         if (process.env.NODE_ENV === 'development') {
             console.log('App Event:', event);
@@ -685,12 +3513,30 @@ class SocialFlowApp {
     }
 
     async cleanup() {
+        clearInterval(this.feedRefresh.pollTimer);
+        clearInterval(this.viewTracking.flushTimer);
+        clearTimeout(this.videoTap.timer);
+        clearTimeout(this.seekFeedbackTimer);
+        this.commentsSheet.observer?.disconnect();
+        this.upload.controller?.abort();
+        this.upload.files.forEach(item => this.releaseUploadItem(item));
+        this.virtualScroll.sentinelObserver?.disconnect();
+        this.playbackCoordinator?.destroy();
+        this.feedPrefetcher.cancel();
+        this.virtualScroll.feed?.destroy();
         this.videoPlayers.forEach(player => player.destroy());
         this.videoPlayers.clear();
+        this.playerPool.forEach(player => player.destroy());
+        this.playerPool = [];
+        this.flushViewSessions({ keepalive: true });
+        this.lazyImageObserver?.disconnect();
 
         this.stateManager.cleanup();
         this.authManager.cleanup();
         this.errorBoundary.cleanup();
+        this.eventStore.cleanup();
+        this.draftStore.cleanup();
+        this.router.cleanup();
 
         this.eventListeners.forEach((listeners, key) => {
             listeners.forEach(({ target, event, handler }) => {
@@ -702,6 +3548,7 @@ class SocialFlowApp {
         this.abortController.abort();
 
         this.logEvent('app_cleanup');
+        this.telemetry.destroy();
     }
 }
 
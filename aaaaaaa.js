@@ -1,7 +1,9 @@
 import { throttle } from './utils/helpers.js';
+import { VIDEO_QUALITIES } from './utils/constants.js';
+import { AdaptiveStream } from './adaptive-stream.js';
 
 class AdvancedVideoPlayer {
-    constructor(container) {
+    constructor(container, settings = {}) {
         this.container = container;
         this.videoId = container.dataset.videoId;
         this.mediaElements = [];
@@ -13,7 +15,21 @@ class AdvancedVideoPlayer {
         this.performanceObserver = null;
         this.eventListeners = new Map();
         this.loadCallbacks = new Set();
+        this.viewEndCallbacks = new Set();
+        this.viewSession = null;
         this.playPromise = null;
+        this.streams = new Map();
+
+        this.settings = {
+            autoplay: true,
+            videoQuality: 'auto',
+            muted: true,
+            playbackRate: 1,
+            captionLanguage: null,
+            pictureInPicture: false,
+            managed: false,
+            ...settings
+        };
         
         this.performanceMetrics = {
             loadTime: 0,
@@ -25,10 +41,56 @@ class AdvancedVideoPlayer {
         this.init();
     }
 
+    attach(container) {
+        this.container = container;
+        this.videoId = container.dataset.videoId;
+        this.currentMediaIndex = 0;
+        this.isPlaying = false;
+        this.isLoading = false;
+        this.performanceMetrics = {
+            loadTime: 0,
+            playTime: 0,
+            bufferingTime: 0,
+            errors: []
+        };
+
+        return this.init();
+    }
+
+    detach() {
+        this.pause();
+        this.endViewSession('detach');
+        
+        this.intersectionObserver?.disconnect();
+        this.visibilityObserver?.disconnect();
+        this.performanceObserver?.disconnect();
+
+        this.eventListeners.forEach((listeners, key) => {
+            listeners.forEach(({ element, event, handler }) => {
+                element.removeEventListener(event, handler);
+            });
+        });
+        this.eventListeners.clear();
+
+        this.streams.forEach(stream => stream.destroy());
+        this.streams.clear();
+
+        this.mediaElements.forEach(media => {
+            if (media.tagName === 'VIDEO') {
+                media.src = '';
+                media.load();
+            } else {
+                media.src = '';
+            }
+        });
+        this.mediaElements = [];
+
+        this.container = null;
+    }
+
     async init() {
         try {
             this.setupMediaElements();
-            this.setupEventListeners();
             this.setupObservers();
             this.setupPreloadStrategy();
             await this.setupPerformanceMonitoring();
@@ -53,8 +115,7 @@ class AdvancedVideoPlayer {
     setupVideoElement(video, index) {
         video.preload = 'none';
         video.playsInline = true;
-        video.muted = true;
-        video.disablePictureInPicture = true;
+        this.applyPlaybackSettings(video);
         video.loading = 'lazy';
         
         video.setAttribute('decoding', 'async');
@@ -68,13 +129,28 @@ class AdvancedVideoPlayer {
             ended: this.handleEnded.bind(this, index),
             error: this.handleError.bind(this, index),
             waiting: this.handleWaiting.bind(this, index),
-            progress: this.handleProgress.bind(this, index)
+            progress: this.handleProgress.bind(this, index),
+            timeupdate: this.handleTimeUpdate.bind(this, index),
+            seeking: this.handleSeeking.bind(this, index),
+            durationchange: this.handleStateChange.bind(this, index),
+            volumechange: this.handleStateChange.bind(this, index),
+            ratechange: this.handleStateChange.bind(this, index),
+            enterpictureinpicture: this.handlePictureInPictureChange.bind(this, index),
+            leavepictureinpicture: this.handlePictureInPictureChange.bind(this, index)
         };
 
         Object.entries(events).forEach(([event, handler]) => {
             video.addEventListener(event, handler);
             this.trackEventListener(video, event, handler);
         });
+
+        this.getCaptionTracks(video).forEach(track => {
+            const handler = this.handleCueChange.bind(this, index, track);
+            track.addEventListener('cuechange', handler);
+            this.trackEventListener(track, 'cuechange', handler);
+        });
+
+        this.applyCaptionSettings(video);
     }
 
     setupImageElement(img, index) {
@@ -122,7 +198,7 @@ class AdvancedVideoPlayer {
         this.visibilityObserver = new IntersectionObserver(
             (entries) => {
                 entries.forEach(entry => {
-                    if (entry.intersectionRatio < 0.1) {
+                    if (entry.intersectionRatio < 0.1 && !this.isInPictureInPicture()) {
                         this.pause();
                     }
                 });
@@ -192,10 +268,263 @@ class AdvancedVideoPlayer {
         adjacentIndexes.forEach(index => {
             const media = this.mediaElements[index];
             if (media.dataset.src && !media.src) {
-                media.src = media.dataset.src;
-                delete media.dataset.src;
+                this.setMediaSource(media, this.resolveSource(media), index).catch(console.error);
+            }
+        });
+    }
+
+    async setMediaSource(media, source, index) {
+        const originalSrc = media.dataset.src;
+        delete media.dataset.src;
+
+        const manifestType = AdaptiveStream.getManifestType(source);
+
+        if (media.tagName !== 'VIDEO' || !manifestType ||
+            AdaptiveStream.canPlayNatively(media, manifestType) || !AdaptiveStream.isSupported()) {
+            media.src = source;
+            if (media.tagName === 'VIDEO') {
+                media.load();
+            }
+            return;
+        }
+
+        const stream = new AdaptiveStream(media, {
+            quality: this.settings.videoQuality,
+            onQualityChange: (level) => this.emit('qualitychange', { mediaIndex: index, ...level }),
+            onError: (error) => this.handleError(index, error)
+        });
+        this.streams.set(media, stream);
+
+        try {
+            await stream.load(source);
+        } catch (error) {
+            stream.destroy();
+            this.streams.delete(media);
+
+            // The revoked MediaSource URL would leave the element unplayable, so drop it before falling back
+            media.removeAttribute('src');
+
+            const fallback = this.getProgressiveSource(media, originalSrc);
+            if (fallback) {
+                console.warn(`Adaptive stream failed, falling back to ${fallback}:`, error);
+                media.src = fallback;
+                media.load();
+                return;
+            }
+
+            if (originalSrc) {
+                media.dataset.src = originalSrc;
+            }
+            media.load();
+            throw error;
+        }
+    }
+
+    getProgressiveSource(media, originalSrc) {
+        const candidates = [...Object.values(this.getSources(media) || {}), originalSrc];
+        return candidates.find(url => url && !AdaptiveStream.getManifestType(url)) || null;
+    }
+
+    getStream(index = this.currentMediaIndex) {
+        return this.streams.get(this.mediaElements[index]) || null;
+    }
+
+    resolveSource(media) {
+        return AdvancedVideoPlayer.selectSource(this.getSources(media), media.dataset.src, this.settings.videoQuality);
+    }
+
+    static selectSource(sources, fallback, videoQuality) {
+        if (!sources) return fallback;
+
+        const quality = videoQuality === 'auto' ?
+            AdvancedVideoPlayer.getAutoQuality(sources) :
+            videoQuality;
+
+        return sources[quality] || fallback || Object.values(sources)[0];
+    }
+
+    getSources(media) {
+        if (!media?.dataset.sources) return null;
+
+        try {
+            return JSON.parse(media.dataset.sources);
+        } catch {
+            return null;
+        }
+    }
+
+    static getAutoQuality(sources) {
+        const connection = navigator.connection;
+        let target = '720p';
+
+        if (connection?.saveData) {
+            target = '360p';
+        } else if (connection) {
+            switch (connection.effectiveType) {
+                case 'slow-2g':
+                case '2g':
+                    target = '360p';
+                    break;
+                case '3g':
+                    target = '480p';
+                    break;
+                case '4g':
+                    target = connection.downlink >= 5 ? '1080p' : '720p';
+                    break;
             }
+        }
+
+        const qualities = VIDEO_QUALITIES
+            .map(quality => quality.value)
+            .filter(value => value !== 'auto');
+        const candidates = qualities.slice(qualities.indexOf(target));
+
+        return candidates.find(quality => sources[quality]) || qualities.find(quality => sources[quality]);
+    }
+
+    getQualityOptions() {
+        const currentMedia = this.mediaElements[this.currentMediaIndex];
+        if (currentMedia?.tagName !== 'VIDEO') return [];
+
+        const qualities = VIDEO_QUALITIES.filter(quality => quality.value !== 'auto');
+        const stream = this.getStream();
+        let available;
+
+        if (stream) {
+            // Renditions rarely match the preset heights exactly, so each preset covers the band down to the next one
+            // and the top preset also takes anything taller than it
+            const heights = stream.getLevels().map(level => level.height).filter(Boolean);
+            available = qualities.filter((quality, i) => {
+                const max = i === 0 ? Infinity : parseInt(quality.value, 10);
+                const min = qualities[i + 1] ? parseInt(qualities[i + 1].value, 10) : 0;
+                return heights.some(height => height > min && height <= max);
+            });
+        } else {
+            const sources = this.getSources(currentMedia) || {};
+            available = qualities.filter(quality => sources[quality.value]);
+        }
+
+        if (available.length === 0) return [];
+
+        return [VIDEO_QUALITIES.find(quality => quality.value === 'auto'), ...available];
+    }
+
+    getActiveQuality() {
+        const stream = this.getStream();
+        if (stream) {
+            const level = stream.getCurrentLevel();
+            return level?.height ? `${level.height}p` : null;
+        }
+
+        const currentMedia = this.mediaElements[this.currentMediaIndex];
+        const sources = this.getSources(currentMedia);
+        if (!sources || !currentMedia.src) return null;
+
+        return Object.keys(sources).find(quality =>
+            new URL(sources[quality], window.location.href).href === currentMedia.src
+        ) || null;
+    }
+
+    updateSettings(settings) {
+        const previousQuality = this.settings.videoQuality;
+        const previousCaptionLanguage = this.settings.captionLanguage;
+        this.settings = { ...this.settings, ...settings };
+
+        if (this.settings.videoQuality !== previousQuality) {
+            this.applyQuality();
+        }
+
+        const videos = this.mediaElements.filter(media => media.tagName === 'VIDEO');
+        videos.forEach(video => this.applyPlaybackSettings(video));
+
+        if (this.settings.captionLanguage !== previousCaptionLanguage) {
+            videos.forEach(video => this.applyCaptionSettings(video));
+        }
+    }
+
+    getCaptionTracks(video) {
+        return Array.from(video?.textTracks || [])
+            .filter(track => track.kind === 'subtitles' || track.kind === 'captions');
+    }
+
+    matchesLanguage(trackLanguage, language) {
+        if (!trackLanguage || !language) return false;
+
+        const primary = (value) => value.toLowerCase().split('-')[0];
+        return primary(trackLanguage) === primary(language);
+    }
+
+    applyCaptionSettings(video) {
+        const tracks = this.getCaptionTracks(video);
+        const selected = tracks.find(track => this.matchesLanguage(track.language, this.settings.captionLanguage));
+
+        // Cues are drawn by the app above the player controls, so the selected track stays hidden rather than showing
+        tracks.forEach(track => {
+            track.mode = track === selected ? 'hidden' : 'disabled';
         });
+
+        if (!selected && video === this.mediaElements[this.currentMediaIndex] && this.container) {
+            this.emit('cuechange', { text: '', language: null });
+        }
+    }
+
+    getCaptionOptions() {
+        const currentMedia = this.mediaElements[this.currentMediaIndex];
+        const options = new Map();
+
+        this.getCaptionTracks(currentMedia).forEach(track => {
+            if (track.language && !options.has(track.language)) {
+                options.set(track.language, { language: track.language, label: track.label || track.language });
+            }
+        });
+
+        return Array.from(options.values());
+    }
+
+    getActiveCaptionLanguage() {
+        const currentMedia = this.mediaElements[this.currentMediaIndex];
+        return this.getCaptionTracks(currentMedia).find(track => track.mode !== 'disabled')?.language || null;
+    }
+
+    applyPlaybackSettings(video) {
+        video.disablePictureInPicture = !this.settings.pictureInPicture;
+        video.muted = this.settings.muted;
+        video.defaultPlaybackRate = this.settings.playbackRate;
+        video.playbackRate = this.settings.playbackRate;
+    }
+
+    setMuted(muted) {
+        this.updateSettings({ muted });
+    }
+
+    setPlaybackRate(playbackRate) {
+        this.updateSettings({ playbackRate });
+    }
+
+    applyQuality() {
+        this.streams.forEach(stream => stream.setQuality(this.settings.videoQuality));
+
+        const currentMedia = this.mediaElements[this.currentMediaIndex];
+        if (this.streams.has(currentMedia)) return;
+
+        if (currentMedia?.tagName !== 'VIDEO' || !currentMedia.src || !this.getSources(currentMedia)) return;
+
+        const source = this.resolveSource(currentMedia);
+        if (!source || currentMedia.src === new URL(source, window.location.href).href) return;
+
+        const currentTime = currentMedia.currentTime;
+        const wasPlaying = this.isPlaying;
+
+        currentMedia.addEventListener('loadedmetadata', () => {
+            currentMedia.currentTime = currentTime;
+            if (wasPlaying) {
+                this.play().catch(console.error);
+            }
+        }, { once: true });
+
+        this.pause();
+        currentMedia.src = source;
+        currentMedia.load();
     }
 
     async load() {
@@ -209,12 +538,7 @@ class AdvancedVideoPlayer {
             if (!currentMedia) return;
 
             if (currentMedia.dataset.src && !currentMedia.src) {
-                currentMedia.src = currentMedia.dataset.src;
-                delete currentMedia.dataset.src;
-
-                if (currentMedia.tagName === 'VIDEO') {
-                    await currentMedia.load();
-                }
+                await this.setMediaSource(currentMedia, this.resolveSource(currentMedia), this.currentMediaIndex);
             }
 
             this.performanceMetrics.loadTime = performance.now() - startTime;
@@ -246,21 +570,38 @@ class AdvancedVideoPlayer {
                 this.playPromise = null;
             }
 
-            this.playPromise = currentMedia.play();
-            await this.playPromise;
+            this.startViewSession();
+            await this.startPlayback(currentMedia);
             
             this.isPlaying = true;
             this.performanceMetrics.playTime = performance.now();
 
         } catch (error) {
             console.error('Video play failed:', error);
-            this.handleError(error);
+            // Blocked autoplay and interrupted play() calls are not media failures
+            if (error.name !== 'NotAllowedError' && error.name !== 'AbortError') {
+                this.handleError(error);
+            }
             throw error;
         } finally {
             this.playPromise = null;
         }
     }
 
+    async startPlayback(video) {
+        try {
+            this.playPromise = video.play();
+            await this.playPromise;
+        } catch (error) {
+            if (error.name !== 'NotAllowedError' || video.muted) throw error;
+
+            // Browsers only allow unmuted playback after a user gesture, so fall back to muted autoplay
+            video.muted = true;
+            this.playPromise = video.play();
+            await this.playPromise;
+        }
+    }
+
     pause() {
         if (!this.isPlaying) return;
 
@@ -276,13 +617,100 @@ class AdvancedVideoPlayer {
         }
     }
 
+    async togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+            return;
+        }
+
+        await this.load();
+        await this.play();
+    }
+
+    seek(time) {
+        const currentMedia = this.mediaElements[this.currentMediaIndex];
+        if (currentMedia?.tagName !== 'VIDEO' || !Number.isFinite(currentMedia.duration)) return;
+
+        currentMedia.currentTime = Math.min(Math.max(time, 0), currentMedia.duration);
+    }
+
+    seekBy(delta) {
+        const currentMedia = this.mediaElements[this.currentMediaIndex];
+        if (currentMedia?.tagName !== 'VIDEO') return;
+
+        this.seek(currentMedia.currentTime + delta);
+    }
+
+    getPlaybackState() {
+        const currentMedia = this.mediaElements[this.currentMediaIndex];
+        const isVideo = currentMedia?.tagName === 'VIDEO';
+        const duration = isVideo && Number.isFinite(currentMedia.duration) ? currentMedia.duration : 0;
+
+        return {
+            mediaIndex: this.currentMediaIndex,
+            currentTime: isVideo ? currentMedia.currentTime : 0,
+            duration,
+            isPlaying: this.isPlaying,
+            muted: isVideo ? currentMedia.muted : this.settings.muted,
+            playbackRate: isVideo ? currentMedia.playbackRate : this.settings.playbackRate,
+            buffered: isVideo ? this.getBufferedRanges(currentMedia) : [],
+            canPictureInPicture: this.isInPictureInPicture() || this.canEnterPictureInPicture()
+        };
+    }
+
+    getBufferedRanges(video) {
+        const duration = video.duration;
+        if (!Number.isFinite(duration) || duration <= 0) return [];
+
+        return Array.from({ length: video.buffered.length }, (_, i) => ({
+            start: video.buffered.start(i) / duration,
+            end: video.buffered.end(i) / duration
+        }));
+    }
+
+    emitPlaybackState() {
+        if (!this.container) return;
+        this.emit('playbackstate', this.getPlaybackState());
+    }
+
+    isPictureInPictureSupported() {
+        return !!document.pictureInPictureEnabled && this.settings.pictureInPicture;
+    }
+
+    isInPictureInPicture() {
+        return !!document.pictureInPictureElement &&
+            this.mediaElements.includes(document.pictureInPictureElement);
+    }
+
+    canEnterPictureInPicture() {
+        const currentMedia = this.mediaElements[this.currentMediaIndex];
+        return currentMedia?.tagName === 'VIDEO' && this.isPictureInPictureSupported() &&
+            currentMedia.readyState >= HTMLMediaElement.HAVE_METADATA;
+    }
+
+    togglePictureInPicture() {
+        if (this.isInPictureInPicture()) {
+            return document.exitPictureInPicture();
+        }
+
+        if (!this.canEnterPictureInPicture()) {
+            return Promise.resolve();
+        }
+
+        // Requested synchronously so the click still counts as the user gesture PiP requires
+        return this.mediaElements[this.currentMediaIndex].requestPictureInPicture();
+    }
+
     async switchMedia(index) {
         if (index === this.currentMediaIndex || index < 0 || index >= this.mediaElements.length) {
             return;
         }
 
         this.pause();
+        this.endViewSession('media_switch');
         this.currentMediaIndex = index;
+        this.emitPlaybackState();
+        this.emit('cuechange', { text: '', language: null });
         await this.load();
 
         if (this.isPlaying) {
@@ -302,14 +730,149 @@ class AdvancedVideoPlayer {
     handlePlaying(index) {
         this.isPlaying = true;
         this.performanceMetrics.bufferingTime = 0;
+
+        const session = this.getViewSession(index);
+        if (session) {
+            const now = performance.now();
+
+            if (session.startupTime === null) {
+                session.startupTime = now - session.playRequestedAt;
+            }
+            this.endRebuffer(session, now);
+
+            if (session.ended) {
+                session.ended = false;
+                session.rewatches++;
+            }
+            session.lastTick = now;
+        }
+
+        this.emitPlaybackState();
     }
 
     handlePause(index) {
         this.isPlaying = false;
+
+        const session = this.getViewSession(index);
+        if (session) {
+            this.tickWatchTime(session);
+            this.endRebuffer(session, performance.now());
+            session.lastTick = null;
+        }
+
+        this.emitPlaybackState();
+    }
+
+    // View sessions
+
+    startViewSession() {
+        if (this.viewSession) return;
+
+        this.viewSession = {
+            videoId: this.videoId,
+            mediaIndex: this.currentMediaIndex,
+            startedAt: Date.now(),
+            playRequestedAt: performance.now(),
+            startupTime: null,
+            watchTime: 0,
+            lastTick: null,
+            maxPosition: 0,
+            ended: false,
+            rewatches: 0,
+            rebufferCount: 0,
+            rebufferDuration: 0,
+            waitingSince: null
+        };
+    }
+
+    getViewSession(index) {
+        return this.viewSession?.mediaIndex === index ? this.viewSession : null;
+    }
+
+    tickWatchTime(session) {
+        if (session.lastTick === null) return;
+
+        const now = performance.now();
+        // Long gaps mean the tab was frozen rather than watched
+        session.watchTime += Math.min(now - session.lastTick, 5000);
+        session.lastTick = now;
+    }
+
+    endRebuffer(session, now) {
+        if (session.waitingSince === null) return;
+
+        session.rebufferDuration += now - session.waitingSince;
+        session.waitingSince = null;
+    }
+
+    endViewSession(reason) {
+        const session = this.viewSession;
+        if (!session) return;
+
+        this.viewSession = null;
+        this.tickWatchTime(session);
+        this.endRebuffer(session, performance.now());
+
+        if (session.startupTime === null && session.watchTime === 0) return;
+
+        const media = this.mediaElements[session.mediaIndex];
+        const duration = Number.isFinite(media?.duration) ? media.duration : 0;
+
+        const view = {
+            videoId: session.videoId,
+            mediaIndex: session.mediaIndex,
+            watchTime: Math.round(session.watchTime / 100) / 10,
+            duration: Math.round(duration * 10) / 10,
+            completion: duration > 0 ? Math.min(100, Math.round((session.maxPosition / duration) * 100)) : 0,
+            rewatches: session.rewatches,
+            rebufferCount: session.rebufferCount,
+            rebufferDuration: Math.round(session.rebufferDuration),
+            startupTime: session.startupTime === null ? null : Math.round(session.startupTime),
+            startedAt: new Date(session.startedAt).toISOString(),
+            endedAt: new Date().toISOString(),
+            reason
+        };
+
+        this.viewEndCallbacks.forEach(callback => {
+            try {
+                callback(view);
+            } catch (error) {
+                console.error('View end callback error:', error);
+            }
+        });
+    }
+
+    handleCueChange(index, track) {
+        if (index !== this.currentMediaIndex || track.mode === 'disabled' || !this.container) return;
+
+        const text = Array.from(track.activeCues || [])
+            .map(cue => cue.text.replace(/<[^>]+>/g, ''))
+            .join('\n');
+
+        this.emit('cuechange', { text, language: track.language });
+    }
+
+    handlePictureInPictureChange(index) {
+        if (!this.container) return;
+        this.emit('pipchange', { active: this.isInPictureInPicture() });
+    }
+
+    handleStateChange(index) {
+        if (index === this.currentMediaIndex) {
+            this.emitPlaybackState();
+        }
     }
 
     handleEnded(index) {
         this.isPlaying = false;
+
+        const session = this.getViewSession(index);
+        if (session) {
+            this.tickWatchTime(session);
+            session.lastTick = null;
+            session.maxPosition = this.mediaElements[index].duration || session.maxPosition;
+            session.ended = true;
+        }
         
         const nextIndex = this.currentMediaIndex + 1;
         if (nextIndex < this.mediaElements.length) {
@@ -320,17 +883,53 @@ class AdvancedVideoPlayer {
     handleWaiting(index) {
         this.performanceMetrics.bufferingTime = 
             (this.performanceMetrics.bufferingTime || 0) + 1;
+
+        // Waiting before the first frame is startup time, not a rebuffer
+        const session = this.getViewSession(index);
+        if (session && session.startupTime !== null && session.waitingSince === null) {
+            this.tickWatchTime(session);
+            session.lastTick = null;
+            session.waitingSince = performance.now();
+            session.rebufferCount++;
+        }
+    }
+
+    handleTimeUpdate(index) {
+        const session = this.getViewSession(index);
+        if (session) {
+            if (session.lastTick !== null) {
+                this.tickWatchTime(session);
+            }
+            session.maxPosition = Math.max(session.maxPosition, this.mediaElements[index].currentTime);
+        }
+
+        this.handleStateChange(index);
+    }
+
+    handleSeeking(index) {
+        const session = this.getViewSession(index);
+        const video = this.mediaElements[index];
+        if (!session || session.ended || !(video.duration > 0)) return;
+
+        if (video.currentTime < 1 && session.maxPosition / video.duration >= 0.9) {
+            session.rewatches++;
+        }
     }
 
     handleProgress(index) {
         const video = this.mediaElements[index];
+        if (index !== this.currentMediaIndex) return;
+
         if (video?.buffered?.length > 0) {
             const bufferedEnd = video.buffered.end(video.buffered.length - 1);
             const duration = video.duration;
             
             if (duration > 0) {
                 const bufferedPercentage = (bufferedEnd / duration) * 100;
-                this.emit('bufferprogress', { percentage: bufferedPercentage });
+                this.emit('bufferprogress', {
+                    percentage: bufferedPercentage,
+                    ranges: this.getBufferedRanges(video)
+                });
             }
         }
     }
@@ -340,11 +939,16 @@ class AdvancedVideoPlayer {
     }
 
     handleError(index, error) {
+        if (index instanceof Error) {
+            error = index;
+            index = this.currentMediaIndex;
+        }
+
         const errorEvent = {
             type: 'media_error',
             videoId: this.videoId,
             mediaIndex: index,
-            error: error.message || 'Unknown media error',
+            error: error?.message || 'Unknown media error',
             timestamp: new Date().toISOString()
         };
 
@@ -359,11 +963,20 @@ class AdvancedVideoPlayer {
     }
 
     handleVisible() {
-        this.load().catch(console.error);
+        this.load()
+            .then(() => {
+                // Managed players only preload here; their owner decides which one plays
+                if (this.settings.autoplay && !this.settings.managed) {
+                    return this.play();
+                }
+            })
+            .catch(console.error);
     }
 
     handleHidden() {
+        if (this.isInPictureInPicture()) return;
         this.pause();
+        this.endViewSession('hidden');
     }
 
     onLoad(callback) {
@@ -371,6 +984,11 @@ class AdvancedVideoPlayer {
         return () => this.loadCallbacks.delete(callback);
     }
 
+    onViewEnd(callback) {
+        this.viewEndCallbacks.add(callback);
+        return () => this.viewEndCallbacks.delete(callback);
+    }
+
     emit(event, data) {
         const customEvent = new CustomEvent(`video:${event}`, {
             detail: { videoId: this.videoId, ...data },
@@ -384,31 +1002,9 @@ class AdvancedVideoPlayer {
     }
 
     destroy() {
-        this.pause();
-        
-        this.intersectionObserver?.disconnect();
-        this.visibilityObserver?.disconnect();
-        this.performanceObserver?.disconnect();
-
-        this.eventListeners.forEach((listeners, key) => {
-            listeners.forEach(({ element, event, handler }) => {
-                element.removeEventListener(event, handler);
-            });
-        });
-        this.eventListeners.clear();
-
-        this.mediaElements.forEach(media => {
-            if (media.tagName === 'VIDEO') {
-                media.src = '';
-                media.load();
-            } else {
-                media.src = '';
-            }
-        });
-        this.mediaElements = [];
-
+        this.detach();
         this.loadCallbacks.clear();
-        this.container = null;
+        this.viewEndCallbacks.clear();
     }
 }
 
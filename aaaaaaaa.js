@@ -1,5 +1,6 @@
 class ComprehensiveErrorBoundary {
-    constructor() {
+    constructor(options = {}) {
+        this.telemetry = options.telemetry || null;
         this.isActive = false;
         this.componentHandlers = new Map();
         this.unhandledRejections = new Set();
@@ -259,22 +260,14 @@ class ComprehensiveErrorBoundary {
             } : null
         };
 
-        if (window.gtag) {
-            gtag('event', 'exception', {
-                description: error.message,
-                fatal: context.type !== 'network_error',
-                ...context
-            });
-        }
-
-        if (window.Sentry) {
+        if (window.Sentry && this.canReport()) {
             Sentry.withScope(scope => {
                 scope.setExtras(context);
                 Sentry.captureException(error);
             });
         }
 
-        this.sendErrorReport(errorReport).catch(console.error);
+        this.telemetry?.track('error', errorReport);
 
         console.error('Error reported:', errorReport);
     }
@@ -287,9 +280,7 @@ class ComprehensiveErrorBoundary {
             ...data
         };
 
-        if (window.gtag) {
-            gtag('event', 'recovery', recoveryReport);
-        }
+        this.telemetry?.track('recovery', recoveryReport);
 
         console.log('Recovery reported:', recoveryReport);
     }
@@ -319,18 +310,8 @@ class ComprehensiveErrorBoundary {
         return sanitized;
     }
 
-    async sendErrorReport(errorReport) {
-        try {
-            await fetch('/api/error-report', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(errorReport)
-            });
-        } catch (error) {
-            console.warn('Error report sending failed:', error);
-        }
+    canReport() {
+        return this.telemetry ? this.telemetry.isEnabled() : true;
     }
 
     async recoverComponent(componentId) {
@@ -61,12 +61,21 @@ export const throttle = (func, limit) => {
     };
 };
 
+// Markup produced by sanitizeHTML, trusted when nested in another sanitizeHTML template
+class SafeHTML extends String {}
+
+const toSafeHTML = (value) => {
+    if (value instanceof SafeHTML) return value.toString();
+    if (Array.isArray(value)) return value.map(toSafeHTML).join('');
+    return escapeHTML(value);
+};
+
 // Sanitize HTML to prevent XSS
 export const sanitizeHTML = (strings, ...values) => {
-    return strings.reduce((result, str, i) => {
+    return new SafeHTML(strings.reduce((result, str, i) => {
         const value = values[i] ?? '';
-        return result + str + escapeHTML(value);
-    }, '');
+        return result + str + toSafeHTML(value);
+    }, ''));
 };
 
 // Escape HTML special characters
@@ -85,6 +94,26 @@ export const generateId = () => {
     return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
 
+// Convert a base64url string (e.g. a VAPID key) to a Uint8Array
+export const urlBase64ToUint8Array = (base64String) => {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding)
+        .replace(/-/g, '+')
+        .replace(/_/g, '/');
+    
+    const rawData = atob(base64);
+    return Uint8Array.from(rawData, char => char.charCodeAt(0));
+};
+
+// Format a timestamp as a local value for <input type="datetime-local">
+export const toDateTimeLocalValue = (timestamp) => {
+    const date = new Date(timestamp);
+    const pad = (value) => String(value).padStart(2, '0');
+    
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
 // Check if element is in viewport
 export const isElementInViewport = (element) => {
     const rect = element.getBoundingClientRect();
@@ -125,6 +154,20 @@ export const formatFileSize = (bytes) => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
+// Format playback position (like 75 -> 1:15)
+export const formatDuration = (seconds) => {
+    if (!Number.isFinite(seconds) || seconds < 0) return '0:00';
+
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+        : `${minutes}:${secs}`;
+};
+
 // Capitalize first letter
 export const capitalize = (str) => {
     return str.charAt(0).toUpperCase() + str.slice(1);
@@ -228,4 +271,33 @@ export const simpleHash = (str) => {
         hash = hash & hash;
     }
     return Math.abs(hash);
-};
\ No newline at end of file
+};
+// Open an IndexedDB database, letting the caller create its stores on upgrade
+export const openIndexedDB = (name, version, upgrade) => {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+
+        request.onupgradeneeded = () => upgrade(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+// Run a single-store transaction and resolve with the callback request's result once it commits
+export const runIndexedDBTransaction = (db, storeName, mode, callback) => {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = callback(tx.objectStore(storeName));
+        let result;
+
+        if (request) {
+            request.onsuccess = () => {
+                result = request.result;
+            };
+        }
+
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
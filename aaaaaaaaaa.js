@@ -3,6 +3,23 @@ export const API_BASE_URL = process.env.API_BASE_URL || 'https://api.socialflow.
 export const API_TIMEOUT = 30000;
 export const API_RETRY_ATTEMPTS = 3;
 
+// Web Push Configuration
+export const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || '';
+
+// Upload Configuration
+export const UPLOAD_ENDPOINT = process.env.UPLOAD_ENDPOINT || `${API_BASE_URL}/uploads`;
+export const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024; // 5 MB
+export const UPLOAD_STUB = process.env.UPLOAD_STUB === 'true';
+export const UPLOAD_LIMITS = {
+    MAX_FILES: 10,
+    MAX_VIDEO_SIZE_MB: 500,
+    MAX_IMAGE_SIZE_MB: 20,
+    MAX_CAPTION_LENGTH: 2200,
+    MIN_SCHEDULE_LEAD_MINUTES: 5,
+    VIDEO_TYPES: ['video/mp4', 'video/webm', 'video/ogg', 'video/quicktime'],
+    IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+};
+
 // Application Constants
 export const APP_VERSION = '1.0.0';
 export const APP_NAME = 'SocialFlow';
@@ -16,6 +33,15 @@ export const VIDEO_QUALITIES = [
     { label: '360p', value: '360p' }
 ];
 
+export const PLAYBACK_RATES = [0.5, 1, 1.25, 1.5, 2];
+export const SEEK_STEP_SECONDS = 10;
+
+// Supported Interface Languages
+export const LANGUAGES = [
+    { label: 'Türkçe', value: 'tr' },
+    { label: 'English', value: 'en' }
+];
+
 export const VIDEO_PRELOAD_STRATEGIES = {
     NONE: 'none',
     METADATA: 'metadata',
@@ -28,9 +54,12 @@ export const STORAGE_KEYS = {
     TOKEN: 'socialflow_temp_token',
     LIKED_VIDEOS: 'socialflow_likedVideos',
     SAVED_VIDEOS: 'socialflow_savedVideos',
+    FOLLOWED_USERS: 'socialflow_followedUsers',
     MEDIA_INDEXES: 'socialflow_currentMediaIndexes',
     UI_SETTINGS: 'socialflow_ui',
-    PENDING_ACTIONS: 'socialflow_pendingActions'
+    PENDING_ACTIONS: 'socialflow_pendingActions',
+    SCHEDULED_POSTS: 'socialflow_scheduledPosts',
+    TELEMETRY: 'socialflow_telemetry'
 };
 
 // Error Messages
@@ -81,6 +110,13 @@ export const PERFORMANCE = {
     MEMORY_THRESHOLD: 100 // MB
 };
 
+// View Tracking
+export const VIEW_TRACKING = {
+    BATCH_SIZE: 10,
+    FLUSH_INTERVAL: 30000, // 30 seconds
+    MAX_QUEUE: 200
+};
+
 // Feature Flags
 export const FEATURE_FLAGS = {
     VIRTUAL_SCROLLING: true,
@@ -96,9 +132,26 @@ export const ROUTES = {
     EXPLORE: 'explore',
     PROFILE: 'profile',
     ANALYTICS: 'analytics',
-    SETTINGS: 'settings'
+    SETTINGS: 'settings',
+    VIDEO: 'video',
+    USER: 'user',
+    UPLOAD: 'upload',
+    SCHEDULED: 'scheduled'
 };
 
+// Explore Categories
+export const EXPLORE_CATEGORIES = [
+    { id: 'all', label: 'Tümü' },
+    { id: 'technology', label: 'Teknoloji' },
+    { id: 'art', label: 'Sanat' },
+    { id: 'music', label: 'Müzik' },
+    { id: 'sports', label: 'Spor' },
+    { id: 'travel', label: 'Seyahat' }
+];
+
+// Comments
+export const COMMENT_MAX_LENGTH = 500;
+
 // Social Media Platforms
 export const SOCIAL_PLATFORMS = {
     FACEBOOK: 'facebook',
@@ -112,15 +165,25 @@ export const SOCIAL_PLATFORMS = {
 export default {
     API_BASE_URL,
     API_TIMEOUT,
+    UPLOAD_ENDPOINT,
+    UPLOAD_CHUNK_SIZE,
+    UPLOAD_STUB,
+    UPLOAD_LIMITS,
     APP_VERSION,
     APP_NAME,
     VIDEO_QUALITIES,
+    PLAYBACK_RATES,
+    SEEK_STEP_SECONDS,
+    LANGUAGES,
     STORAGE_KEYS,
     ERROR_MESSAGES,
     SUCCESS_MESSAGES,
     THEME_COLORS,
     PERFORMANCE,
+    VIEW_TRACKING,
     FEATURE_FLAGS,
     ROUTES,
+    EXPLORE_CATEGORIES,
+    COMMENT_MAX_LENGTH,
     SOCIAL_PLATFORMS
 };
\ No newline at end of file
@@ -0,0 +1,779 @@
+const MANIFEST_PATTERNS = {
+    hls: /\.m3u8($|[?#])/i,
+    dash: /\.mpd($|[?#])/i
+};
+
+const DEFAULT_CODECS = {
+    video: 'avc1.42E01E, mp4a.40.2',
+    audio: 'mp4a.40.2'
+};
+
+const AUDIO_CODEC_PREFIXES = ['mp4a', 'ac-3', 'ec-3', 'opus', 'flac'];
+
+class AdaptiveStream {
+    constructor(video, options = {}) {
+        this.video = video;
+        this.options = {
+            quality: 'auto',
+            bufferAhead: 30,
+            bufferBehind: 30,
+            safetyFactor: 0.8,
+            onQualityChange: () => {},
+            onError: () => {},
+            ...options
+        };
+
+        this.manifest = null;
+        this.mediaSource = null;
+        this.objectUrl = null;
+        this.tracks = [];
+        this.bandwidthEstimate = null;
+        this.isLoading = false;
+        this.reloadPending = false;
+        this.flushRequested = false;
+        this.seekVersion = 0;
+        this.destroyed = false;
+        this.abortController = new AbortController();
+        this.segmentController = null;
+    }
+
+    static getManifestType(url) {
+        if (!url) return null;
+        return Object.keys(MANIFEST_PATTERNS).find(type => MANIFEST_PATTERNS[type].test(url)) || null;
+    }
+
+    static isSupported() {
+        return 'MediaSource' in window;
+    }
+
+    static canPlayNatively(video, type) {
+        return type === 'hls' && video.canPlayType('application/vnd.apple.mpegurl') !== '';
+    }
+
+    async loadManifest(url) {
+        const type = AdaptiveStream.getManifestType(url);
+        const manifest = type === 'hls' ? await this.parseHls(url) : await this.parseDash(url);
+
+        manifest.renditions = manifest.renditions
+            .filter(rendition => MediaSource.isTypeSupported(this.getMimeType(rendition)))
+            .sort((a, b) => a.bandwidth - b.bandwidth);
+
+        if (manifest.renditions.length === 0) {
+            throw new Error('No playable renditions in manifest');
+        }
+
+        this.manifest = manifest;
+        this.bandwidthEstimate = this.getInitialBandwidth();
+        return manifest;
+    }
+
+    async warm(url) {
+        const manifest = await this.loadManifest(url);
+        const renditions = [this.selectRendition(), manifest.audio].filter(Boolean);
+
+        // Fetch what playback needs first so a later load() is served from the HTTP cache
+        for (const rendition of renditions) {
+            await this.ensureSegments(rendition);
+
+            const urls = [rendition.initUrl, rendition.segments[0]?.url].filter(Boolean);
+            for (const segmentUrl of urls) {
+                await this.fetchSegment(segmentUrl);
+            }
+        }
+    }
+
+    async load(url) {
+        const manifest = await this.loadManifest(url);
+        const initial = this.selectRendition();
+        await this.ensureSegments(initial);
+        if (manifest.audio) {
+            await this.ensureSegments(manifest.audio);
+        }
+
+        await this.openMediaSource();
+        if (this.destroyed) return;
+
+        this.tracks = [
+            this.createTrack('video', initial),
+            ...(manifest.audio ? [this.createTrack('audio', manifest.audio)] : [])
+        ];
+
+        const duration = manifest.duration || this.getSegmentsDuration(initial);
+        if (Number.isFinite(duration) && duration > 0) {
+            this.mediaSource.duration = duration;
+        }
+
+        const { signal } = this.abortController;
+        this.video.addEventListener('timeupdate', () => this.schedule(), { signal });
+        this.video.addEventListener('seeking', () => this.handleSeeking(), { signal });
+
+        this.schedule();
+    }
+
+    openMediaSource() {
+        return new Promise((resolve) => {
+            this.mediaSource = new MediaSource();
+            this.objectUrl = URL.createObjectURL(this.mediaSource);
+            this.mediaSource.addEventListener('sourceopen', resolve, { once: true });
+            this.video.src = this.objectUrl;
+        });
+    }
+
+    createTrack(kind, rendition) {
+        const mimeType = this.getMimeType(rendition);
+
+        return {
+            kind,
+            mimeType,
+            sourceBuffer: this.mediaSource.addSourceBuffer(mimeType),
+            rendition: null,
+            nextTime: 0,
+            ended: false
+        };
+    }
+
+    getMimeType(rendition) {
+        const kind = rendition.kind === 'audio' ? 'audio' : 'video';
+        const codecs = rendition.codecs || DEFAULT_CODECS[kind];
+        return `${rendition.mimeType || `${kind}/mp4`}; codecs="${codecs}"`;
+    }
+
+    // Rendition selection
+
+    getInitialBandwidth() {
+        const downlink = navigator.connection?.downlink;
+        return downlink ? downlink * 1000000 : null;
+    }
+
+    selectRendition() {
+        const renditions = this.manifest.renditions;
+
+        if (this.options.quality !== 'auto') {
+            const height = parseInt(this.options.quality, 10);
+            const candidates = renditions.filter(rendition => !rendition.height || rendition.height <= height);
+            return candidates[candidates.length - 1] || renditions[0];
+        }
+
+        if (!this.bandwidthEstimate) {
+            return renditions[0];
+        }
+
+        const budget = this.bandwidthEstimate * this.options.safetyFactor;
+        return [...renditions].reverse().find(rendition => rendition.bandwidth <= budget) || renditions[0];
+    }
+
+    updateBandwidth(bytes, milliseconds) {
+        if (milliseconds <= 0) return;
+
+        const sample = (bytes * 8) / (milliseconds / 1000);
+        this.bandwidthEstimate = this.bandwidthEstimate
+            ? this.bandwidthEstimate * 0.7 + sample * 0.3
+            : sample;
+    }
+
+    setQuality(quality) {
+        if (quality === this.options.quality) return;
+
+        this.options.quality = quality;
+
+        // A manual choice should show up right away rather than after the buffered segments play out
+        if (quality !== 'auto' && this.tracks.length > 0) {
+            this.flushRequested = true;
+            this.segmentController?.abort();
+        }
+
+        this.schedule();
+    }
+
+    getLevels() {
+        return (this.manifest?.renditions || []).map(rendition => ({
+            id: rendition.id,
+            height: rendition.height,
+            width: rendition.width,
+            bandwidth: rendition.bandwidth
+        }));
+    }
+
+    getCurrentLevel() {
+        const rendition = this.tracks.find(track => track.kind === 'video')?.rendition;
+        if (!rendition) return null;
+
+        return {
+            id: rendition.id,
+            height: rendition.height,
+            width: rendition.width,
+            bandwidth: rendition.bandwidth,
+            auto: this.options.quality === 'auto'
+        };
+    }
+
+    // Buffer management
+
+    schedule() {
+        if (this.destroyed || this.tracks.length === 0) return;
+
+        if (this.isLoading) {
+            this.reloadPending = true;
+            return;
+        }
+
+        this.isLoading = true;
+        this.fillBuffer()
+            .catch(error => {
+                if (error.name !== 'AbortError') {
+                    console.error('Adaptive stream error:', error);
+                    this.options.onError(error);
+                }
+            })
+            .finally(() => {
+                this.isLoading = false;
+
+                if (this.reloadPending) {
+                    this.reloadPending = false;
+                    this.schedule();
+                }
+            });
+    }
+
+    async fillBuffer() {
+        while (!this.destroyed) {
+            if (this.flushRequested) {
+                await this.flushForwardBuffer();
+            }
+
+            const track = this.tracks
+                .filter(item => !item.ended && this.getBufferedAhead(item) < this.options.bufferAhead)
+                .sort((a, b) => a.nextTime - b.nextTime)[0];
+
+            if (!track) break;
+
+            await this.loadNextSegment(track);
+        }
+
+        this.endStreamIfComplete();
+    }
+
+    async loadNextSegment(track) {
+        const rendition = track.kind === 'video' ? this.selectRendition() : this.manifest.audio;
+        await this.ensureSegments(rendition);
+
+        if (track.rendition !== rendition) {
+            await this.switchRendition(track, rendition);
+        }
+
+        const segment = this.findSegment(rendition, track.nextTime);
+        if (!segment) {
+            track.ended = true;
+            return;
+        }
+
+        const seekVersion = this.seekVersion;
+        const startTime = performance.now();
+        const data = await this.fetchSegment(segment.url);
+
+        if (track.kind === 'video') {
+            this.updateBandwidth(data.byteLength, performance.now() - startTime);
+        }
+
+        await this.appendBuffer(track, data);
+
+        // A seek during the request has already moved the track somewhere else
+        if (seekVersion === this.seekVersion) {
+            track.nextTime = segment.start + segment.duration;
+        }
+
+        await this.evictBackBuffer(track);
+    }
+
+    async switchRendition(track, rendition) {
+        const mimeType = this.getMimeType(rendition);
+
+        if (mimeType !== track.mimeType && track.sourceBuffer.changeType) {
+            track.sourceBuffer.changeType(mimeType);
+            track.mimeType = mimeType;
+        }
+
+        if (rendition.initUrl) {
+            const init = await this.fetchSegment(rendition.initUrl);
+            await this.appendBuffer(track, init);
+        }
+
+        track.rendition = rendition;
+
+        if (track.kind === 'video') {
+            this.options.onQualityChange(this.getCurrentLevel());
+        }
+    }
+
+    findSegment(rendition, time) {
+        return rendition.segments.find(segment => segment.start + segment.duration > time + 0.05) || null;
+    }
+
+    getBufferedAhead(track) {
+        return Math.max(0, track.nextTime - this.video.currentTime);
+    }
+
+    getBufferedEnd(sourceBuffer, time) {
+        const { buffered } = sourceBuffer;
+
+        for (let i = 0; i < buffered.length; i++) {
+            if (buffered.start(i) <= time + 0.1 && buffered.end(i) >= time) {
+                return buffered.end(i);
+            }
+        }
+        return time;
+    }
+
+    handleSeeking() {
+        const time = this.video.currentTime;
+
+        this.seekVersion++;
+        this.segmentController?.abort();
+
+        this.tracks.forEach(track => {
+            track.nextTime = this.getBufferedEnd(track.sourceBuffer, time);
+            track.ended = false;
+        });
+
+        this.schedule();
+    }
+
+    async flushForwardBuffer() {
+        this.flushRequested = false;
+
+        const track = this.tracks.find(item => item.kind === 'video');
+        if (!track) return;
+
+        const from = this.video.currentTime + 1;
+        const { buffered } = track.sourceBuffer;
+
+        if (buffered.length > 0 && buffered.end(buffered.length - 1) > from) {
+            await this.removeBuffer(track, from, buffered.end(buffered.length - 1));
+        }
+
+        track.nextTime = this.getBufferedEnd(track.sourceBuffer, this.video.currentTime);
+        track.ended = false;
+    }
+
+    async evictBackBuffer(track) {
+        const { buffered } = track.sourceBuffer;
+        const evictEnd = this.video.currentTime - this.options.bufferBehind;
+
+        if (buffered.length > 0 && buffered.start(0) < evictEnd) {
+            await this.removeBuffer(track, buffered.start(0), evictEnd);
+        }
+    }
+
+    async appendBuffer(track, data) {
+        try {
+            await this.runBufferOperation(track, () => track.sourceBuffer.appendBuffer(data));
+        } catch (error) {
+            if (error.name !== 'QuotaExceededError') throw error;
+
+            // Free everything already played and try once more
+            await this.removeBuffer(track, 0, Math.max(0, this.video.currentTime - 1));
+            await this.runBufferOperation(track, () => track.sourceBuffer.appendBuffer(data));
+        }
+    }
+
+    removeBuffer(track, start, end) {
+        if (end <= start) return Promise.resolve();
+        return this.runBufferOperation(track, () => track.sourceBuffer.remove(start, end));
+    }
+
+    runBufferOperation(track, operation) {
+        return new Promise((resolve, reject) => {
+            const { sourceBuffer } = track;
+
+            const run = () => {
+                const onUpdateEnd = () => {
+                    sourceBuffer.removeEventListener('error', onError);
+                    resolve();
+                };
+                const onError = () => {
+                    sourceBuffer.removeEventListener('updateend', onUpdateEnd);
+                    reject(new Error(`SourceBuffer operation failed for ${track.kind}`));
+                };
+
+                sourceBuffer.addEventListener('updateend', onUpdateEnd, { once: true });
+                sourceBuffer.addEventListener('error', onError, { once: true });
+
+                try {
+                    operation();
+                } catch (error) {
+                    sourceBuffer.removeEventListener('updateend', onUpdateEnd);
+                    sourceBuffer.removeEventListener('error', onError);
+                    reject(error);
+                }
+            };
+
+            if (sourceBuffer.updating) {
+                sourceBuffer.addEventListener('updateend', run, { once: true });
+            } else {
+                run();
+            }
+        });
+    }
+
+    endStreamIfComplete() {
+        if (this.mediaSource?.readyState !== 'open') return;
+        if (!this.tracks.every(track => track.ended && !track.sourceBuffer.updating)) return;
+
+        try {
+            this.mediaSource.endOfStream();
+        } catch (error) {
+            console.warn('endOfStream failed:', error);
+        }
+    }
+
+    // Networking
+
+    async fetchText(url) {
+        const response = await fetch(url, { signal: this.abortController.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        return response.text();
+    }
+
+    async fetchSegment(url) {
+        this.segmentController = new AbortController();
+        const signal = this.segmentController.signal;
+        const abort = () => this.segmentController?.abort();
+
+        this.abortController.signal.addEventListener('abort', abort, { once: true });
+
+        try {
+            const response = await fetch(url, { signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            return await response.arrayBuffer();
+        } finally {
+            this.abortController.signal.removeEventListener('abort', abort);
+        }
+    }
+
+    // HLS
+
+    async parseHls(url) {
+        const text = await this.fetchText(url);
+        if (!text.trim().startsWith('#EXTM3U')) {
+            throw new Error('Invalid HLS playlist');
+        }
+
+        // A media playlist without variants is a single rendition
+        if (!text.includes('#EXT-X-STREAM-INF')) {
+            return {
+                type: 'hls',
+                duration: null,
+                renditions: [{ id: '0', kind: 'video', bandwidth: 0, playlistUrl: url, segments: null }],
+                audio: null
+            };
+        }
+
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        const audioGroups = new Map();
+        const variants = [];
+
+        lines.forEach((line, i) => {
+            if (line.startsWith('#EXT-X-MEDIA:')) {
+                const attributes = this.parseAttributes(line);
+                if (attributes.TYPE === 'AUDIO' && attributes.URI) {
+                    const group = audioGroups.get(attributes['GROUP-ID']) || [];
+                    group.push(attributes);
+                    audioGroups.set(attributes['GROUP-ID'], group);
+                }
+            } else if (line.startsWith('#EXT-X-STREAM-INF:')) {
+                const uri = lines.slice(i + 1).find(next => !next.startsWith('#'));
+                if (uri) {
+                    variants.push({ attributes: this.parseAttributes(line), uri });
+                }
+            }
+        });
+
+        const audioGroupId = variants.find(variant => variant.attributes.AUDIO)?.attributes.AUDIO;
+        const audioGroup = audioGroups.get(audioGroupId) || [];
+        const audioEntry = audioGroup.find(entry => entry.DEFAULT === 'YES') || audioGroup[0];
+
+        const splitCodecs = (codecs = '') => {
+            const list = codecs.split(',').map(codec => codec.trim()).filter(Boolean);
+            const isAudio = codec => AUDIO_CODEC_PREFIXES.some(prefix => codec.startsWith(prefix));
+            return {
+                video: list.filter(codec => !isAudio(codec)).join(', '),
+                audio: list.filter(isAudio).join(', ')
+            };
+        };
+
+        const renditions = variants.map(({ attributes, uri }, index) => {
+            const [width, height] = (attributes.RESOLUTION || '').split('x').map(Number);
+            const codecs = splitCodecs(attributes.CODECS);
+
+            return {
+                id: String(index),
+                kind: 'video',
+                bandwidth: Number(attributes['AVERAGE-BANDWIDTH'] || attributes.BANDWIDTH) || 0,
+                width: width || null,
+                height: height || null,
+                codecs: audioEntry ? codecs.video : attributes.CODECS,
+                audioCodecs: codecs.audio,
+                playlistUrl: new URL(uri, url).href,
+                segments: null
+            };
+        });
+
+        return {
+            type: 'hls',
+            duration: null,
+            renditions,
+            audio: audioEntry ? {
+                id: 'audio',
+                kind: 'audio',
+                mimeType: 'audio/mp4',
+                codecs: renditions.find(rendition => rendition.audioCodecs)?.audioCodecs || null,
+                playlistUrl: new URL(audioEntry.URI, url).href,
+                segments: null
+            } : null
+        };
+    }
+
+    async loadHlsMediaPlaylist(rendition) {
+        const text = await this.fetchText(rendition.playlistUrl);
+        const segments = [];
+        let initUrl = null;
+        let duration = 0;
+        let start = 0;
+
+        text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+            if (line.startsWith('#EXT-X-MAP:')) {
+                initUrl = new URL(this.parseAttributes(line).URI, rendition.playlistUrl).href;
+            } else if (line.startsWith('#EXTINF:')) {
+                duration = parseFloat(line.slice(8));
+            } else if (!line.startsWith('#')) {
+                segments.push({ url: new URL(line, rendition.playlistUrl).href, start, duration });
+                start += duration;
+            }
+        });
+
+        if (!initUrl) {
+            throw new Error('HLS stream uses MPEG-TS segments, which are not supported without native HLS');
+        }
+
+        rendition.initUrl = initUrl;
+        rendition.segments = segments;
+    }
+
+    parseAttributes(line) {
+        const attributes = {};
+        const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+        let match;
+
+        while ((match = pattern.exec(line.slice(line.indexOf(':') + 1)))) {
+            attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+        }
+
+        return attributes;
+    }
+
+    async ensureSegments(rendition) {
+        if (rendition.segments) return;
+
+        if (this.manifest?.type === 'dash' || !rendition.playlistUrl) {
+            rendition.segments = [];
+            return;
+        }
+
+        await this.loadHlsMediaPlaylist(rendition);
+    }
+
+    getSegmentsDuration(rendition) {
+        const last = rendition.segments?.[rendition.segments.length - 1];
+        return last ? last.start + last.duration : null;
+    }
+
+    // DASH
+
+    async parseDash(url) {
+        const text = await this.fetchText(url);
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+
+        if (xml.querySelector('parsererror')) {
+            throw new Error('Invalid DASH manifest');
+        }
+
+        const mpd = xml.documentElement;
+        const period = this.getChild(mpd, 'Period');
+        if (!period) {
+            throw new Error('DASH manifest has no Period');
+        }
+
+        const duration = this.parseDuration(period.getAttribute('duration')) ||
+            this.parseDuration(mpd.getAttribute('mediaPresentationDuration'));
+        const periodBase = this.resolveBaseUrl(period, this.resolveBaseUrl(mpd, url));
+
+        const renditions = [];
+        let audio = null;
+
+        this.getChildren(period, 'AdaptationSet').forEach(adaptationSet => {
+            const setBase = this.resolveBaseUrl(adaptationSet, periodBase);
+
+            this.getChildren(adaptationSet, 'Representation').forEach(representation => {
+                const mimeType = representation.getAttribute('mimeType') || adaptationSet.getAttribute('mimeType') || '';
+                const contentType = adaptationSet.getAttribute('contentType') || mimeType.split('/')[0];
+                const template = this.getSegmentTemplate(adaptationSet, representation);
+                if (!template || (contentType !== 'video' && contentType !== 'audio')) return;
+
+                const rendition = {
+                    id: representation.getAttribute('id'),
+                    kind: contentType,
+                    mimeType,
+                    codecs: representation.getAttribute('codecs') || adaptationSet.getAttribute('codecs'),
+                    bandwidth: Number(representation.getAttribute('bandwidth')) || 0,
+                    width: Number(representation.getAttribute('width')) || null,
+                    height: Number(representation.getAttribute('height')) || null
+                };
+
+                const baseUrl = this.resolveBaseUrl(representation, setBase);
+                Object.assign(rendition, this.buildDashSegments(template, rendition, duration, baseUrl));
+
+                if (contentType === 'video') {
+                    renditions.push(rendition);
+                } else if (!audio || rendition.bandwidth > audio.bandwidth) {
+                    audio = rendition;
+                }
+            });
+        });
+
+        return { type: 'dash', duration, renditions, audio };
+    }
+
+    getSegmentTemplate(adaptationSet, representation) {
+        const setTemplate = this.getChild(adaptationSet, 'SegmentTemplate');
+        const ownTemplate = this.getChild(representation, 'SegmentTemplate');
+        if (!setTemplate && !ownTemplate) return null;
+
+        const attributes = {};
+        [setTemplate, ownTemplate].filter(Boolean).forEach(template => {
+            Array.from(template.attributes).forEach(attribute => {
+                attributes[attribute.name] = attribute.value;
+            });
+        });
+
+        const timeline = this.getChild(ownTemplate, 'SegmentTimeline') || this.getChild(setTemplate, 'SegmentTimeline');
+        return { attributes, timeline };
+    }
+
+    buildDashSegments({ attributes, timeline }, rendition, duration, baseUrl) {
+        const timescale = Number(attributes.timescale) || 1;
+        const startNumber = attributes.startNumber !== undefined ? Number(attributes.startNumber) : 1;
+        const offset = Number(attributes.presentationTimeOffset) || 0;
+
+        const fill = (pattern, number, time) => pattern
+            .replace(/\$\$/g, '$')
+            .replace(/\$RepresentationID\$/g, rendition.id)
+            .replace(/\$Bandwidth\$/g, rendition.bandwidth)
+            .replace(/\$(Number|Time)(?:%0(\d+)d)?\$/g, (_, key, width) => {
+                const value = String(key === 'Number' ? number : time);
+                return width ? value.padStart(Number(width), '0') : value;
+            });
+
+        const segments = [];
+        const push = (number, time, length) => {
+            segments.push({
+                url: new URL(fill(attributes.media, number, time), baseUrl).href,
+                start: (time - offset) / timescale,
+                duration: length / timescale
+            });
+        };
+
+        if (timeline) {
+            let number = startNumber;
+            let time = 0;
+            const entries = this.getChildren(timeline, 'S');
+
+            entries.forEach((entry, index) => {
+                const length = Number(entry.getAttribute('d'));
+                let repeat = Number(entry.getAttribute('r') || 0);
+
+                if (entry.hasAttribute('t')) {
+                    time = Number(entry.getAttribute('t'));
+                }
+
+                // r="-1" repeats until the next S element or the end of the period
+                if (repeat < 0) {
+                    const next = entries[index + 1];
+                    const end = next?.hasAttribute('t')
+                        ? Number(next.getAttribute('t'))
+                        : offset + (duration || 0) * timescale;
+                    repeat = Math.max(0, Math.ceil((end - time) / length) - 1);
+                }
+
+                for (let i = 0; i <= repeat; i++) {
+                    push(number++, time, length);
+                    time += length;
+                }
+            });
+        } else if (attributes.duration && duration) {
+            const length = Number(attributes.duration);
+            const count = Math.ceil((duration * timescale) / length);
+
+            for (let i = 0; i < count; i++) {
+                push(startNumber + i, offset + i * length, length);
+            }
+        }
+
+        return {
+            initUrl: attributes.initialization
+                ? new URL(fill(attributes.initialization, startNumber, 0), baseUrl).href
+                : null,
+            segments
+        };
+    }
+
+    parseDuration(value) {
+        if (!value) return null;
+
+        const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/.exec(value);
+        if (!match) return null;
+
+        const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+        return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+    }
+
+    resolveBaseUrl(element, parentUrl) {
+        const baseUrl = this.getChild(element, 'BaseURL')?.textContent.trim();
+        return baseUrl ? new URL(baseUrl, parentUrl).href : parentUrl;
+    }
+
+    getChildren(element, name) {
+        return element ? Array.from(element.children).filter(child => child.localName === name) : [];
+    }
+
+    getChild(element, name) {
+        return this.getChildren(element, name)[0] || null;
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.abortController.abort();
+        this.segmentController?.abort();
+
+        if (this.mediaSource?.readyState === 'open') {
+            try {
+                this.tracks.forEach(track => track.sourceBuffer.abort());
+            } catch (error) {
+                console.warn('SourceBuffer abort failed:', error);
+            }
+        }
+
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+        }
+
+        this.tracks = [];
+        this.mediaSource = null;
+        this.objectUrl = null;
+    }
+}
+
+export { AdaptiveStream };
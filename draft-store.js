@@ -0,0 +1,83 @@
+import { openIndexedDB, runIndexedDBTransaction } from './utils/helpers.js';
+
+const DB_NAME = 'socialflow_drafts';
+const DB_VERSION = 1;
+const STORE_NAME = 'drafts';
+
+class DraftStore {
+    constructor() {
+        this.db = null;
+    }
+
+    async init() {
+        if (!('indexedDB' in window)) {
+            console.warn('IndexedDB not available, drafts will not be saved');
+            return;
+        }
+
+        try {
+            this.db = await this.openDatabase();
+        } catch (error) {
+            console.error('Draft store init failed:', error);
+            this.db = null;
+        }
+    }
+
+    get isAvailable() {
+        return !!this.db;
+    }
+
+    openDatabase() {
+        return openIndexedDB(DB_NAME, DB_VERSION, db => {
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('updatedAt', 'updatedAt');
+            }
+        });
+    }
+
+    transaction(mode, callback) {
+        return runIndexedDBTransaction(this.db, STORE_NAME, mode, callback);
+    }
+
+    async save(draft) {
+        if (!this.db) return null;
+
+        const existing = await this.get(draft.id);
+        const now = Date.now();
+        const record = {
+            ...draft,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+
+        await this.transaction('readwrite', store => store.put(record));
+        return record;
+    }
+
+    async get(id) {
+        if (!this.db) return null;
+
+        return await this.transaction('readonly', store => store.get(id)) || null;
+    }
+
+    async getAll() {
+        if (!this.db) return [];
+
+        const drafts = await this.transaction('readonly', store => store.index('updatedAt').getAll());
+        return drafts.reverse();
+    }
+
+    async delete(id) {
+        if (!this.db) return;
+
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+
+    cleanup() {
+        this.db?.close();
+        this.db = null;
+    }
+}
+
+export { DraftStore };
@@ -0,0 +1,223 @@
+import { openIndexedDB, runIndexedDBTransaction } from './utils/helpers.js';
+
+const DB_NAME = 'socialflow_events';
+const DB_VERSION = 1;
+const STORE_NAME = 'events';
+
+const LOAD_TIME_BUCKETS = [
+    { max: 250, label: '<250ms' },
+    { max: 500, label: '250-500ms' },
+    { max: 1000, label: '0.5-1s' },
+    { max: 2000, label: '1-2s' },
+    { max: Infinity, label: '>2s' }
+];
+
+class PersistentEventStore {
+    constructor() {
+        this.db = null;
+        this.pendingEvents = [];
+        this.maxPendingEvents = 500;
+        this.maxAge = 30 * 86400000;
+    }
+
+    async init() {
+        if (!('indexedDB' in window)) {
+            console.warn('IndexedDB not available, events will not be persisted');
+            return;
+        }
+
+        try {
+            this.db = await this.openDatabase();
+            await this.prune();
+
+            const pending = this.pendingEvents.splice(0);
+            await Promise.all(pending.map(event => this.add(event)));
+        } catch (error) {
+            console.error('Event store init failed:', error);
+            this.db = null;
+        }
+    }
+
+    openDatabase() {
+        return openIndexedDB(DB_NAME, DB_VERSION, db => {
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                const store = db.createObjectStore(STORE_NAME, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                store.createIndex('name', 'name');
+                store.createIndex('time', 'time');
+            }
+        });
+    }
+
+    transaction(mode, callback) {
+        return runIndexedDBTransaction(this.db, STORE_NAME, mode, callback);
+    }
+
+    async add(event) {
+        const record = { ...event, time: event.time || Date.now() };
+
+        if (!this.db) {
+            this.pendingEvents.push(record);
+            if (this.pendingEvents.length > this.maxPendingEvents) {
+                this.pendingEvents.shift();
+            }
+            return;
+        }
+
+        await this.transaction('readwrite', store => store.add(record));
+    }
+
+    async getEvents({ name = null, since = 0 } = {}) {
+        if (!this.db) {
+            return this.pendingEvents.filter(event =>
+                (!name || event.name === name) && event.time >= since
+            );
+        }
+
+        const events = await this.transaction('readonly', store => name
+            ? store.index('name').getAll(name)
+            : store.index('time').getAll(IDBKeyRange.lowerBound(since))
+        );
+
+        return events
+            .filter(event => event.time >= since)
+            .sort((a, b) => a.time - b.time);
+    }
+
+    async prune() {
+        if (!this.db) return;
+
+        const cutoff = Date.now() - this.maxAge;
+
+        await this.transaction('readwrite', store => {
+            const request = store.index('time').openCursor(IDBKeyRange.upperBound(cutoff));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    async getLoadTimeHistograms() {
+        const events = await this.getEvents({ name: 'video_load' });
+        const histograms = new Map();
+
+        events.forEach(event => {
+            if (typeof event.loadTime !== 'number') return;
+
+            if (!histograms.has(event.videoId)) {
+                histograms.set(event.videoId, {
+                    videoId: event.videoId,
+                    count: 0,
+                    total: 0,
+                    buckets: LOAD_TIME_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }))
+                });
+            }
+
+            const histogram = histograms.get(event.videoId);
+            const bucketIndex = LOAD_TIME_BUCKETS.findIndex(bucket => event.loadTime < bucket.max);
+
+            histogram.buckets[bucketIndex].count++;
+            histogram.count++;
+            histogram.total += event.loadTime;
+        });
+
+        return Array.from(histograms.values()).map(histogram => ({
+            ...histogram,
+            average: histogram.total / histogram.count
+        }));
+    }
+
+    async getEngagementTimeline(days = 7) {
+        const start = new Date();
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - (days - 1));
+
+        const timeline = Array.from({ length: days }, (_, i) => {
+            const date = new Date(start);
+            date.setDate(start.getDate() + i);
+            return { date: date.getTime(), likes: 0, shares: 0 };
+        });
+
+        const [likes, shares] = await Promise.all([
+            this.getEvents({ name: 'video_like', since: start.getTime() }),
+            this.getEvents({ name: 'video_share', since: start.getTime() })
+        ]);
+
+        const dayIndex = (time) => Math.floor((time - start.getTime()) / 86400000);
+
+        likes.filter(event => event.liked).forEach(event => {
+            const day = timeline[dayIndex(event.time)];
+            if (day) day.likes++;
+        });
+
+        shares.forEach(event => {
+            const day = timeline[dayIndex(event.time)];
+            if (day) day.shares++;
+        });
+
+        return timeline;
+    }
+
+    async getNavigationFunnel(steps) {
+        const [sessionStarts, navigations] = await Promise.all([
+            this.getEvents({ name: 'app_initialized' }),
+            this.getEvents({ name: 'page_navigation' })
+        ]);
+
+        const sessions = [];
+        [...sessionStarts, ...navigations]
+            .sort((a, b) => a.time - b.time)
+            .forEach(event => {
+                if (event.name === 'app_initialized' || sessions.length === 0) {
+                    sessions.push(['home']);
+                }
+                if (event.name === 'page_navigation') {
+                    sessions[sessions.length - 1].push(event.to);
+                }
+            });
+
+        const transitions = new Map();
+        navigations.forEach(event => {
+            const key = `${event.from} → ${event.to}`;
+            transitions.set(key, (transitions.get(key) || 0) + 1);
+        });
+
+        const funnel = steps.map((step, stepIndex) => ({
+            step,
+            count: sessions.filter(path => {
+                let position = 0;
+                for (const page of path) {
+                    if (page === steps[position]) position++;
+                    if (position > stepIndex) return true;
+                }
+                return false;
+            }).length
+        }));
+
+        return {
+            sessions: sessions.length,
+            funnel,
+            transitions: Array.from(transitions.entries())
+                .map(([path, count]) => ({ path, count }))
+                .sort((a, b) => b.count - a.count)
+        };
+    }
+
+    async getEventCounts(names) {
+        const counts = await Promise.all(names.map(name => this.getEvents({ name })));
+        return Object.fromEntries(names.map((name, i) => [name, counts[i].length]));
+    }
+
+    cleanup() {
+        this.db?.close();
+        this.db = null;
+    }
+}
+
+export { PersistentEventStore };
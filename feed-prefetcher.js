@@ -0,0 +1,141 @@
+import { AdaptiveStream } from './adaptive-stream.js';
+
+const PREFETCH_BYTES = 512 * 1024;
+const MAX_WARMED_ENTRIES = 100;
+
+class FeedPrefetcher {
+    constructor(options = {}) {
+        this.options = {
+            maxItems: 3,
+            resolveSource: (media) => media.url,
+            getQuality: () => 'auto',
+            ...options
+        };
+
+        this.queue = [];
+        this.current = null;
+        this.warmed = new Set();
+    }
+
+    getPrefetchCount() {
+        const connection = navigator.connection;
+        if (connection?.saveData) return 0;
+
+        const counts = { 'slow-2g': 0, '2g': 0, '3g': 1, '4g': this.options.maxItems };
+        let count = counts[connection?.effectiveType] ?? 2;
+
+        const deviceMemory = navigator.deviceMemory;
+        if (deviceMemory && deviceMemory <= 2) {
+            count = Math.min(count, 1);
+        } else if (deviceMemory && deviceMemory <= 4) {
+            count = Math.min(count, 2);
+        }
+
+        const heap = performance.memory;
+        if (heap && heap.usedJSHeapSize / heap.jsHeapSizeLimit > 0.7) {
+            count = 0;
+        }
+
+        return count;
+    }
+
+    update(videos) {
+        const wanted = videos.filter(video => !this.warmed.has(video.id));
+        const wantedIds = new Set(wanted.map(video => video.id));
+
+        if (this.current && !wantedIds.has(this.current.id)) {
+            this.cancelCurrent();
+        }
+
+        this.queue = wanted.filter(video => video.id !== this.current?.id);
+        this.pump();
+    }
+
+    async pump() {
+        if (this.current || this.queue.length === 0) return;
+
+        const video = this.queue.shift();
+        const task = { id: video.id, controller: new AbortController(), stream: null };
+        this.current = task;
+
+        try {
+            await this.warm(video, task);
+            this.markWarmed(video.id);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn(`Prefetch failed for video ${video.id}:`, error);
+            }
+        } finally {
+            task.stream?.destroy();
+
+            if (this.current === task) {
+                this.current = null;
+                this.pump();
+            }
+        }
+    }
+
+    async warm(video, task) {
+        const media = video.media?.[0];
+        if (!media) return;
+
+        const { signal } = task.controller;
+        const thumbnail = media.poster || media.thumbnail;
+        const requests = [];
+
+        if (thumbnail) {
+            requests.push(this.fetchAndDrain(thumbnail, { signal, mode: 'no-cors' }));
+        }
+
+        if (media.type === 'video') {
+            const source = this.options.resolveSource(media);
+
+            if (AdaptiveStream.getManifestType(source) && AdaptiveStream.isSupported()) {
+                task.stream = new AdaptiveStream(null, { quality: this.options.getQuality() });
+                signal.addEventListener('abort', () => task.stream?.destroy(), { once: true });
+                requests.push(task.stream.warm(source));
+            } else if (source) {
+                // Progressive files only need their header, which holds the metadata and first frames
+                requests.push(this.fetchAndDrain(source, {
+                    signal,
+                    headers: { Range: `bytes=0-${PREFETCH_BYTES - 1}` }
+                }));
+            }
+        }
+
+        await Promise.all(requests);
+    }
+
+    async fetchAndDrain(url, init) {
+        const response = await fetch(url, { priority: 'low', ...init });
+
+        if (response.type !== 'opaque' && !response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        await response.arrayBuffer();
+    }
+
+    markWarmed(videoId) {
+        this.warmed.add(videoId);
+
+        if (this.warmed.size > MAX_WARMED_ENTRIES) {
+            this.warmed.delete(this.warmed.values().next().value);
+        }
+    }
+
+    cancelCurrent() {
+        if (!this.current) return;
+
+        this.current.controller.abort();
+        this.current.stream?.destroy();
+        this.current = null;
+    }
+
+    cancel() {
+        this.queue = [];
+        this.cancelCurrent();
+    }
+}
+
+export { FeedPrefetcher };
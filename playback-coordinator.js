@@ -0,0 +1,175 @@
+class PlaybackCoordinator {
+    constructor(feed, options = {}) {
+        this.feed = feed;
+        this.options = {
+            getPlayer: () => null,
+            getPlayers: () => [],
+            shouldAutoplay: () => true,
+            minVisibleRatio: 0.5,
+            settleDelay: 150,
+            onActiveChange: () => {},
+            ...options
+        };
+
+        this.visibility = new Map();
+        this.activeElement = null;
+        this.settleTimer = null;
+
+        this.observer = new IntersectionObserver(
+            (entries) => this.handleIntersections(entries),
+            { threshold: Array.from({ length: 11 }, (_, i) => i / 10) }
+        );
+    }
+
+    observe(element) {
+        this.observer.observe(element);
+    }
+
+    unobserve(element) {
+        this.observer.unobserve(element);
+        this.visibility.delete(element);
+
+        if (element === this.activeElement) {
+            this.activeElement = null;
+            this.scheduleSelection();
+        }
+    }
+
+    handleIntersections(entries) {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) {
+                this.visibility.delete(entry.target);
+                return;
+            }
+
+            // Items taller than the viewport can never be fully visible, so measure against whichever is smaller
+            const visibleArea = Math.min(entry.boundingClientRect.height, window.innerHeight);
+            this.visibility.set(entry.target, visibleArea > 0 ? entry.intersectionRect.height / visibleArea : 0);
+        });
+
+        this.scheduleSelection();
+    }
+
+    scheduleSelection() {
+        // Let scrolling settle so items passing through the viewport don't each start playing
+        clearTimeout(this.settleTimer);
+        this.settleTimer = setTimeout(() => this.selectActive(), this.options.settleDelay);
+    }
+
+    selectActive() {
+        let best = null;
+        let bestRatio = this.options.minVisibleRatio;
+
+        this.visibility.forEach((ratio, element) => {
+            if (ratio >= bestRatio) {
+                best = element;
+                bestRatio = ratio;
+            }
+        });
+
+        if (best !== this.activeElement) {
+            this.activate(best);
+        }
+    }
+
+    activate(element, { play = false } = {}) {
+        const previous = this.activeElement;
+        this.activeElement = element;
+
+        if (previous && previous !== element) {
+            const player = this.options.getPlayer(previous);
+            if (player && !player.isInPictureInPicture()) {
+                player.pause();
+            }
+        }
+
+        this.options.onActiveChange(element);
+
+        if (element) {
+            this.playActive({ force: play }).catch(console.error);
+        }
+    }
+
+    async playActive({ force = false } = {}) {
+        const player = this.getActivePlayer();
+        if (!player) return;
+
+        this.pauseOthers(player);
+        await player.load();
+
+        if (force || this.options.shouldAutoplay()) {
+            await player.play();
+        }
+    }
+
+    handlePlaying(player) {
+        if (this.isObserved(player.container) && player.container !== this.activeElement) {
+            this.activeElement = player.container;
+            this.options.onActiveChange(player.container);
+        }
+
+        this.pauseOthers(player);
+    }
+
+    pauseOthers(player) {
+        for (const other of this.options.getPlayers()) {
+            // A picture-in-picture window keeps playing while the feed moves on underneath it
+            if (other !== player && !other.isInPictureInPicture()) {
+                other.pause();
+            }
+        }
+    }
+
+    isObserved(element) {
+        return !!element && this.visibility.has(element);
+    }
+
+    getActivePlayer() {
+        return this.activeElement ? this.options.getPlayer(this.activeElement) : null;
+    }
+
+    getActiveKey() {
+        return this.activeElement?.dataset.videoId ?? null;
+    }
+
+    go(direction, { immediate = false, play = false } = {}) {
+        const target = this.feed.getAdjacentKey(this.getActiveKey(), direction);
+        if (!target) return null;
+
+        this.feed.scrollToKey(target, immediate ? 'auto' : 'smooth');
+
+        if (immediate) {
+            // Animation frames and intersection callbacks are throttled while the page is hidden
+            this.feed.update();
+
+            const element = this.feed.getElement(target);
+            if (element) {
+                clearTimeout(this.settleTimer);
+                this.activate(element, { play });
+            }
+        }
+
+        return target;
+    }
+
+    next(options) {
+        return this.go(1, options);
+    }
+
+    previous(options) {
+        return this.go(-1, options);
+    }
+
+    resume() {
+        return this.playActive();
+    }
+
+    destroy() {
+        clearTimeout(this.settleTimer);
+        this.observer.disconnect();
+        this.visibility.clear();
+        this.activeElement = null;
+    }
+}
+
+export { PlaybackCoordinator };
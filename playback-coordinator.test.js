@@ -0,0 +1,56 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { PlaybackCoordinator } from './playback-coordinator.js';
+
+const createPlayer = (container, { inPictureInPicture = false } = {}) => ({
+    container,
+    pause: jest.fn(),
+    load: jest.fn(async () => {}),
+    play: jest.fn(async () => {}),
+    isInPictureInPicture: () => inPictureInPicture
+});
+
+const createElement = (videoId) => ({ dataset: { videoId } });
+
+describe('PlaybackCoordinator', () => {
+    let players;
+    let coordinator;
+
+    beforeEach(() => {
+        globalThis.IntersectionObserver = class {
+            observe() {}
+            unobserve() {}
+            disconnect() {}
+        };
+
+        players = new Map();
+        coordinator = new PlaybackCoordinator({}, {
+            getPlayer: (element) => players.get(element.dataset.videoId),
+            getPlayers: () => players.values(),
+            shouldAutoplay: () => false
+        });
+    });
+
+    test('pauses the previous player when the active item changes', () => {
+        const first = createElement('1');
+        const second = createElement('2');
+        players.set('1', createPlayer(first));
+        players.set('2', createPlayer(second));
+
+        coordinator.activate(first);
+        coordinator.activate(second);
+
+        expect(players.get('1').pause).toHaveBeenCalled();
+    });
+
+    test('leaves a picture-in-picture player playing when the active item changes', () => {
+        const first = createElement('1');
+        const second = createElement('2');
+        players.set('1', createPlayer(first, { inPictureInPicture: true }));
+        players.set('2', createPlayer(second));
+
+        coordinator.activate(first);
+        coordinator.activate(second);
+
+        expect(players.get('1').pause).not.toHaveBeenCalled();
+    });
+});
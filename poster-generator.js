@@ -0,0 +1,116 @@
+class PosterGenerator {
+    constructor(options = {}) {
+        this.options = {
+            frameCount: 4,
+            maxWidth: 720,
+            type: 'image/jpeg',
+            quality: 0.82,
+            timeout: 10000,
+            ...options
+        };
+    }
+
+    async generate(file) {
+        const url = URL.createObjectURL(file);
+        const video = document.createElement('video');
+
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.src = url;
+
+        try {
+            await this.waitFor(video, 'loadeddata');
+
+            const canvas = document.createElement('canvas');
+            const scale = Math.min(1, this.options.maxWidth / video.videoWidth);
+            canvas.width = Math.round(video.videoWidth * scale);
+            canvas.height = Math.round(video.videoHeight * scale);
+
+            const context = canvas.getContext('2d');
+            const frames = [];
+
+            for (const time of this.getTimestamps(video.duration)) {
+                await this.seek(video, time);
+                context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+                const blob = await this.toBlob(canvas);
+                frames.push({ time, blob, url: URL.createObjectURL(blob) });
+            }
+
+            return frames;
+        } finally {
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    getTimestamps(duration) {
+        if (!Number.isFinite(duration) || duration <= 0) {
+            return [0];
+        }
+
+        // Spread frames across the clip, skipping the first and last moments which are often black
+        const count = this.options.frameCount;
+        return Array.from({ length: count }, (_, i) =>
+            Number(((duration * (i + 1)) / (count + 1)).toFixed(2))
+        );
+    }
+
+    seek(video, time) {
+        if (video.currentTime === time && video.readyState >= 2) {
+            return Promise.resolve();
+        }
+
+        const seeked = this.waitFor(video, 'seeked');
+        video.currentTime = time;
+        return seeked;
+    }
+
+    waitFor(video, eventName) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error(`Timed out waiting for ${eventName}`));
+            }, this.options.timeout);
+
+            const onEvent = () => {
+                cleanup();
+                resolve();
+            };
+
+            const onError = () => {
+                cleanup();
+                reject(video.error || new Error('Video could not be decoded'));
+            };
+
+            const cleanup = () => {
+                clearTimeout(timer);
+                video.removeEventListener(eventName, onEvent);
+                video.removeEventListener('error', onError);
+            };
+
+            video.addEventListener(eventName, onEvent);
+            video.addEventListener('error', onError);
+        });
+    }
+
+    toBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Poster frame could not be encoded'));
+                }
+            }, this.options.type, this.options.quality);
+        });
+    }
+
+    release(frames = []) {
+        frames.forEach(frame => URL.revokeObjectURL(frame.url));
+    }
+}
+
+export { PosterGenerator };
@@ -0,0 +1,143 @@
+import { debounce } from './utils/helpers.js';
+
+class HistoryRouter {
+    constructor(routes) {
+        this.routes = routes.map(route => ({
+            ...route,
+            ...this.compile(route.path)
+        }));
+        this.handler = null;
+        this.currentRoute = null;
+        this.hasHistory = false;
+        this.abortController = new AbortController();
+    }
+
+    compile(path) {
+        const keys = [];
+        const pattern = path.replace(/\/:([^/]+)/g, (_, key) => {
+            keys.push(key);
+            return '/([^/]+)';
+        });
+
+        return {
+            regex: new RegExp(`^${pattern === '/' ? '' : pattern}/?$`),
+            keys
+        };
+    }
+
+    init(handler) {
+        this.handler = handler;
+
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
+        const { signal } = this.abortController;
+
+        window.addEventListener('popstate', (event) => {
+            this.dispatch(window.location.pathname, event.state?.scrollY || 0);
+        }, { signal });
+
+        // Safari caps replaceState calls, so the position is saved once scrolling settles rather than while it runs
+        this.saveScrollPositionDebounced = debounce(() => this.saveScrollPosition(), 500);
+
+        window.addEventListener('scroll', this.saveScrollPositionDebounced, { passive: true, signal });
+
+        window.addEventListener('pagehide', () => {
+            this.saveScrollPosition();
+        }, { signal });
+
+        const route = this.match(window.location.pathname);
+        const scrollY = history.state?.scrollY || 0;
+
+        if (!route) {
+            history.replaceState({ scrollY: 0 }, '', '/');
+            this.currentRoute = { ...this.match('/'), scrollY: 0 };
+        } else {
+            history.replaceState({ ...history.state, scrollY }, '');
+            this.currentRoute = { ...route, scrollY };
+        }
+
+        return this.currentRoute;
+    }
+
+    match(pathname) {
+        for (const route of this.routes) {
+            const match = route.regex.exec(pathname);
+            if (match) {
+                try {
+                    const params = Object.fromEntries(
+                        route.keys.map((key, i) => [key, decodeURIComponent(match[i + 1])])
+                    );
+                    return { page: route.page, params, path: pathname };
+                } catch (error) {
+                    // Malformed escapes such as /video/%E0 cannot be decoded, so the path matches nothing
+                    console.warn(`Unable to decode path ${pathname}:`, error);
+                    return null;
+                }
+            }
+        }
+        return null;
+    }
+
+    pathFor(page, params = {}) {
+        const route = this.routes.find(route =>
+            route.page === page && route.keys.every(key => key in params)
+        );
+        if (!route) return null;
+
+        return route.path.replace(/:([^/]+)/g, (_, key) => encodeURIComponent(params[key]));
+    }
+
+    async navigate(path, { replace = false } = {}) {
+        const url = new URL(path, window.location.origin);
+        if (!replace && url.pathname === window.location.pathname) return;
+
+        this.saveScrollPosition();
+
+        const state = { scrollY: 0 };
+        if (replace) {
+            history.replaceState(state, '', url.pathname + url.search);
+        } else {
+            history.pushState(state, '', url.pathname + url.search);
+            this.hasHistory = true;
+        }
+
+        await this.dispatch(url.pathname, 0);
+    }
+
+    async dispatch(pathname, scrollY) {
+        const route = this.match(pathname);
+        if (!route) {
+            await this.navigate('/', { replace: true });
+            return;
+        }
+
+        this.currentRoute = { ...route, scrollY };
+        await this.handler?.(this.currentRoute);
+    }
+
+    back(fallbackPath = '/') {
+        if (this.hasHistory) {
+            history.back();
+        } else {
+            this.navigate(fallbackPath, { replace: true });
+        }
+    }
+
+    saveScrollPosition() {
+        try {
+            history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+        } catch (error) {
+            console.warn('Scroll position could not be saved:', error);
+        }
+    }
+
+    cleanup() {
+        this.saveScrollPositionDebounced?.cancel?.();
+        this.abortController.abort();
+        this.handler = null;
+    }
+}
+
+export { HistoryRouter };
@@ -0,0 +1,117 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { ImmutableStateManager } from './state-manager.js';
+
+const createStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+};
+
+const jsonResponse = (body) => ({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    text: async () => JSON.stringify(body)
+});
+
+describe('ImmutableStateManager partial updates', () => {
+    let stateManager;
+
+    beforeEach(async () => {
+        globalThis.localStorage = createStorage();
+        globalThis.navigator = { onLine: true };
+        globalThis.window = { addEventListener: jest.fn() };
+        globalThis.fetch = jest.fn(async () => {
+            throw new Error('Network unavailable');
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        stateManager = new ImmutableStateManager();
+        await stateManager.init();
+    });
+
+    test('merges a partial update into the existing state', async () => {
+        await stateManager.setState({ isLoadingMore: true });
+
+        expect(stateManager.state.isLoadingMore).toBe(true);
+        expect(stateManager.state.user).toBeNull();
+        expect(stateManager.state.videos).toBeInstanceOf(Map);
+    });
+
+    test('rejects an update that breaks the schema', async () => {
+        await expect(stateManager.setState({ online: 'yes' })).rejects.toThrow('Invalid state structure');
+        expect(stateManager.state.online).toBe(true);
+    });
+
+    test('notifies ui subscribers when a single setting changes', async () => {
+        const subscriber = jest.fn();
+        stateManager.subscribe('ui', subscriber);
+
+        await stateManager.updateUISettings({ theme: 'light' });
+
+        expect(stateManager.getUISettings().theme).toBe('light');
+        expect(stateManager.getUISettings().language).toBe('tr');
+        expect(subscriber).toHaveBeenCalledTimes(1);
+    });
+
+    test('treats an empty accepted response as success', async () => {
+        fetch.mockImplementation(async () => ({ ok: true, status: 204, statusText: 'No Content', text: async () => '' }));
+
+        await expect(stateManager.sendViewSessions([{ videoId: '1' }])).resolves.toBeNull();
+    });
+
+    test('falls back to the demo feed when the video request fails', async () => {
+        const videos = await stateManager.getVideos();
+
+        expect(videos.size).toBe(3);
+        expect(stateManager.state.hasMore).toBe(false);
+    });
+
+    test('keeps an optimistic follow after the server accepts it', async () => {
+        fetch.mockImplementation(async () => jsonResponse({ data: {} }));
+
+        await expect(stateManager.followUser('user1')).resolves.toBe(true);
+        expect(stateManager.isUserFollowed('user1')).toBe(true);
+    });
+
+    test('keeps an optimistic comment and its count while offline', async () => {
+        await stateManager.getVideos();
+        await stateManager.setState({ online: false });
+
+        await stateManager.addComment('1', 'Merhaba', { id: 'me', name: 'Me' });
+
+        const thread = stateManager.state.comments.get('1');
+        expect(thread.items[0]).toMatchObject({ text: 'Merhaba', pending: true });
+        expect(stateManager.state.videos.get('1').comments).toBe(46);
+        expect(stateManager.state.pendingActions).toHaveLength(1);
+    });
+
+    test('queues a scheduled post while offline', async () => {
+        await stateManager.setState({ online: false });
+
+        const post = await stateManager.schedulePost({
+            caption: 'Yakında',
+            media: [],
+            publishAt: Date.now() + 3600000
+        });
+
+        expect(stateManager.getScheduledPost(post.id)).toMatchObject({ status: 'queued', videoId: null });
+        expect(stateManager.state.pendingActions[0]).toMatchObject({ type: 'schedule' });
+    });
+
+    test('drops submitted posts whose publish time has passed on init', async () => {
+        localStorage.setItem('socialflow_scheduledPosts', JSON.stringify([
+            { id: 'published', videoId: 'v1', publishAt: Date.now() - 60000 },
+            { id: 'upcoming', videoId: 'v2', publishAt: Date.now() + 60000 },
+            { id: 'queued', videoId: null, publishAt: Date.now() - 60000 }
+        ]));
+
+        const manager = new ImmutableStateManager();
+        await manager.init();
+
+        expect(manager.state.scheduledPosts.map(post => post.id)).toEqual(['upcoming', 'queued']);
+    });
+});
@@ -0,0 +1,256 @@
+const MAX_STORED_BATCHES = 20;
+// Keepalive requests and beacons are capped at 64 KB, shared by everything in flight
+const MAX_BATCH_BYTES = 48 * 1024;
+const MAX_ATTEMPTS = 5;
+
+const encoder = new TextEncoder();
+
+class TelemetryPipeline {
+    constructor(options = {}) {
+        this.options = {
+            endpoint: '/telemetry',
+            storageKey: 'socialflow_telemetry',
+            batchSize: 20,
+            flushInterval: 30000,
+            maxQueue: 500,
+            isEnabled: () => true,
+            ...options
+        };
+
+        this.queue = [];
+        this.batches = [];
+        this.isFlushing = false;
+        this.inFlightId = null;
+        this.flushTimer = null;
+        this.isActive = false;
+
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleUnload = this.handleUnload.bind(this);
+    }
+
+    init() {
+        if (this.isActive) return;
+
+        this.batches = this.loadBatches();
+
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('beforeunload', this.handleUnload);
+        this.flushTimer = setInterval(() => this.flush(), this.options.flushInterval);
+
+        this.isActive = true;
+        this.flush();
+    }
+
+    isEnabled() {
+        return this.options.isEnabled();
+    }
+
+    track(type, data = {}) {
+        if (!this.isEnabled()) return;
+
+        this.queue.push({
+            type,
+            timestamp: new Date().toISOString(),
+            ...data
+        });
+
+        if (this.queue.length > this.options.maxQueue) {
+            this.queue.shift();
+        }
+
+        if (this.queue.length >= this.options.batchSize) {
+            this.flush();
+        }
+    }
+
+    takeBatch() {
+        if (this.queue.length === 0) return;
+
+        let events = [];
+        let bytes = 0;
+
+        const pushBatch = () => {
+            this.batches.push({
+                id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                events,
+                attempts: 0
+            });
+            events = [];
+            bytes = 0;
+        };
+
+        this.queue.splice(0).forEach(event => {
+            const size = this.getByteSize(event);
+
+            if (size > MAX_BATCH_BYTES) {
+                console.warn(`Telemetry event dropped, ${size} bytes exceeds the batch limit:`, event.type);
+                return;
+            }
+
+            if (bytes + size > MAX_BATCH_BYTES) {
+                pushBatch();
+            }
+
+            events.push(event);
+            bytes += size;
+        });
+
+        if (events.length > 0) {
+            pushBatch();
+        }
+
+        if (this.batches.length > MAX_STORED_BATCHES) {
+            this.batches.splice(0, this.batches.length - MAX_STORED_BATCHES);
+        }
+
+        this.saveBatches();
+    }
+
+    async flush() {
+        if (!this.isEnabled()) {
+            this.clear();
+            return;
+        }
+
+        this.takeBatch();
+        if (this.isFlushing || this.batches.length === 0 || !navigator.onLine) return;
+
+        this.isFlushing = true;
+
+        try {
+            while (this.batches.length > 0) {
+                const batch = this.batches[0];
+                this.inFlightId = batch.id;
+
+                try {
+                    await this.send(batch);
+                    this.removeBatch(batch.id);
+                } catch (error) {
+                    batch.attempts = (batch.attempts || 0) + 1;
+
+                    if (error.permanent || batch.attempts >= MAX_ATTEMPTS) {
+                        console.warn(`Telemetry batch ${batch.id} dropped:`, error);
+                        this.removeBatch(batch.id);
+                        continue;
+                    }
+
+                    this.saveBatches();
+                    throw error;
+                }
+            }
+        } catch (error) {
+            console.warn('Telemetry flush failed:', error);
+        } finally {
+            this.inFlightId = null;
+            this.isFlushing = false;
+        }
+    }
+
+    async send(batch) {
+        const response = await fetch(this.options.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: this.serialize(batch)
+        });
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            // Client errors other than timeouts and rate limits will fail the same way on every retry
+            error.permanent = response.status >= 400 && response.status < 500 &&
+                response.status !== 408 && response.status !== 429;
+            throw error;
+        }
+    }
+
+    flushWithBeacon() {
+        if (!this.isEnabled()) {
+            this.clear();
+            return;
+        }
+
+        this.takeBatch();
+        if (!navigator.sendBeacon) return;
+
+        // Anything the browser refuses stays in storage and goes out on the next load.
+        // The batch a regular flush is sending is left to that request so it is not delivered twice.
+        this.batches.filter(batch => batch.id !== this.inFlightId).forEach(batch => {
+            try {
+                // A string body goes out as text/plain, which cross-origin beacons can send without a preflight
+                if (navigator.sendBeacon(this.options.endpoint, this.serialize(batch))) {
+                    this.removeBatch(batch.id);
+                }
+            } catch (error) {
+                console.warn(`Telemetry beacon failed for batch ${batch.id}:`, error);
+            }
+        });
+    }
+
+    serialize(batch) {
+        return JSON.stringify({
+            batchId: batch.id,
+            sentAt: new Date().toISOString(),
+            events: batch.events
+        });
+    }
+
+    getByteSize(value) {
+        return encoder.encode(JSON.stringify(value)).length;
+    }
+
+    removeBatch(batchId) {
+        this.batches = this.batches.filter(batch => batch.id !== batchId);
+        this.saveBatches();
+    }
+
+    loadBatches() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.options.storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('Telemetry batches could not be restored:', error);
+            return [];
+        }
+    }
+
+    saveBatches() {
+        try {
+            if (this.batches.length > 0) {
+                localStorage.setItem(this.options.storageKey, JSON.stringify(this.batches));
+            } else {
+                localStorage.removeItem(this.options.storageKey);
+            }
+        } catch (error) {
+            console.warn('Telemetry batches could not be persisted:', error);
+        }
+    }
+
+    clear() {
+        this.queue = [];
+        this.batches = [];
+        this.saveBatches();
+    }
+
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this.flushWithBeacon();
+        }
+    }
+
+    handleUnload() {
+        this.flushWithBeacon();
+    }
+
+    destroy() {
+        if (!this.isActive) return;
+
+        this.flushWithBeacon();
+
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('beforeunload', this.handleUnload);
+        clearInterval(this.flushTimer);
+
+        this.isActive = false;
+    }
+}
+
+export { TelemetryPipeline };
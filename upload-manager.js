@@ -0,0 +1,215 @@
+import { sleep, simpleHash } from './utils/helpers.js';
+import { UPLOAD_ENDPOINT, UPLOAD_CHUNK_SIZE, UPLOAD_STUB, API_RETRY_ATTEMPTS } from './utils/constants.js';
+import { LocalUploadServer } from './upload-stub.js';
+
+const SESSION_PREFIX = 'socialflow_upload_';
+
+class ResumableUploader {
+    constructor(options = {}) {
+        this.options = {
+            endpoint: UPLOAD_ENDPOINT,
+            chunkSize: UPLOAD_CHUNK_SIZE,
+            maxRetries: API_RETRY_ATTEMPTS,
+            retryDelay: 1000,
+            // Stands in for the upload endpoint when no server is available, e.g. in local development
+            transport: UPLOAD_STUB ? new LocalUploadServer() : null,
+            ...options
+        };
+    }
+
+    async upload(file, { onProgress = () => {}, signal } = {}) {
+        const fingerprint = this.getFingerprint(file);
+        let session = await this.resumeSession(fingerprint, signal);
+
+        if (!session) {
+            session = await this.createSession(file, signal);
+            this.saveSession(fingerprint, session.id);
+        }
+
+        let offset = session.offset || 0;
+        onProgress(offset, file.size);
+
+        while (offset < file.size) {
+            const chunkStart = offset;
+            const result = await this.sendChunkWithRetry(session.id, file, chunkStart, {
+                signal,
+                onProgress: (loaded) => onProgress(Math.min(file.size, chunkStart + loaded), file.size)
+            });
+
+            // A server that accepts a chunk without moving the offset would otherwise loop forever
+            if (result.offset <= chunkStart) {
+                throw new Error(`Upload stalled at offset ${chunkStart}`);
+            }
+
+            session = result;
+            offset = result.offset;
+        }
+
+        this.clearSession(fingerprint);
+        onProgress(file.size, file.size);
+
+        return session;
+    }
+
+    async createSession(file, signal) {
+        const metadata = {
+            fileName: file.name,
+            size: file.size,
+            type: file.type,
+            chunkSize: this.options.chunkSize
+        };
+
+        if (this.options.transport) {
+            return this.options.transport.createSession(metadata, signal);
+        }
+
+        const response = await fetch(this.options.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(metadata),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const { data } = await response.json();
+        return { ...data.upload, offset: data.upload.offset || 0 };
+    }
+
+    async resumeSession(fingerprint, signal) {
+        const uploadId = localStorage.getItem(`${SESSION_PREFIX}${fingerprint}`);
+        if (!uploadId) return null;
+
+        try {
+            return await this.getSession(uploadId, signal);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+
+            console.warn(`Upload ${uploadId} cannot be resumed, starting over:`, error);
+            this.clearSession(fingerprint);
+            return null;
+        }
+    }
+
+    async getSession(uploadId, signal) {
+        if (this.options.transport) {
+            return this.options.transport.getSession(uploadId, signal);
+        }
+
+        const response = await fetch(`${this.options.endpoint}/${encodeURIComponent(uploadId)}`, { signal });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const { data } = await response.json();
+        return { ...data.upload, offset: data.upload.offset || 0 };
+    }
+
+    async sendChunkWithRetry(uploadId, file, start, { signal, onProgress }) {
+        let attempt = 0;
+        let offset = start;
+
+        while (true) {
+            try {
+                return await this.sendChunk(uploadId, file, offset, { signal, onProgress });
+            } catch (error) {
+                if (error.name === 'AbortError' || attempt >= this.options.maxRetries) {
+                    throw error;
+                }
+
+                attempt++;
+                await sleep(this.options.retryDelay * 2 ** (attempt - 1));
+
+                // The server may have stored part of the failed chunk, so ask where to continue from
+                const session = await this.getSession(uploadId, signal).catch(() => null);
+                if (session) {
+                    if (session.offset >= file.size) return session;
+                    offset = session.offset;
+                }
+            }
+        }
+    }
+
+    sendChunk(uploadId, file, start, { signal, onProgress }) {
+        const end = Math.min(start + this.options.chunkSize, file.size);
+        const chunk = file.slice(start, end);
+        const range = { start, end, total: file.size, signal, onProgress };
+
+        if (this.options.transport) {
+            return this.options.transport.putChunk(uploadId, chunk, range);
+        }
+
+        return this.putChunk(uploadId, chunk, range);
+    }
+
+    putChunk(uploadId, chunk, { start, end, total, signal, onProgress }) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Upload aborted', 'AbortError'));
+                return;
+            }
+
+            const xhr = new XMLHttpRequest();
+            const abort = () => xhr.abort();
+
+            xhr.open('PUT', `${this.options.endpoint}/${encodeURIComponent(uploadId)}`);
+            xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+            xhr.setRequestHeader('Content-Range', `bytes ${start}-${end - 1}/${total}`);
+
+            xhr.upload.onprogress = (e) => {
+                if (e.lengthComputable) {
+                    onProgress(e.loaded);
+                }
+            };
+
+            xhr.onload = () => {
+                signal?.removeEventListener('abort', abort);
+
+                if (xhr.status < 200 || xhr.status >= 300) {
+                    reject(new Error(`HTTP ${xhr.status}: ${xhr.statusText}`));
+                    return;
+                }
+
+                try {
+                    const { data } = JSON.parse(xhr.responseText || '{}');
+                    resolve({ id: uploadId, ...data?.upload, offset: data?.upload?.offset ?? end });
+                } catch (error) {
+                    resolve({ id: uploadId, offset: end });
+                }
+            };
+
+            xhr.onerror = () => {
+                signal?.removeEventListener('abort', abort);
+                reject(new Error('Network error during upload'));
+            };
+
+            xhr.onabort = () => {
+                reject(new DOMException('Upload aborted', 'AbortError'));
+            };
+
+            signal?.addEventListener('abort', abort, { once: true });
+            xhr.send(chunk);
+        });
+    }
+
+    getFingerprint(file) {
+        return simpleHash(`${file.name}:${file.size}:${file.type}:${file.lastModified}`);
+    }
+
+    saveSession(fingerprint, uploadId) {
+        try {
+            localStorage.setItem(`${SESSION_PREFIX}${fingerprint}`, uploadId);
+        } catch (error) {
+            console.warn('Upload session could not be saved:', error);
+        }
+    }
+
+    clearSession(fingerprint) {
+        localStorage.removeItem(`${SESSION_PREFIX}${fingerprint}`);
+    }
+}
+
+export { ResumableUploader };
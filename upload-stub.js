@@ -0,0 +1,117 @@
+import { generateId } from './utils/helpers.js';
+
+const PROGRESS_INTERVAL = 100;
+
+class LocalUploadServer {
+    constructor(options = {}) {
+        this.options = {
+            bytesPerSecond: 2 * 1024 * 1024,
+            failureRate: 0,
+            ...options
+        };
+
+        this.sessions = new Map();
+    }
+
+    async createSession({ fileName, size, type }, signal) {
+        this.throwIfAborted(signal);
+
+        const session = {
+            id: `local_${generateId()}`,
+            fileName,
+            size,
+            type,
+            offset: 0,
+            parts: [],
+            url: null
+        };
+
+        this.sessions.set(session.id, session);
+        return this.toUpload(session);
+    }
+
+    async getSession(uploadId, signal) {
+        this.throwIfAborted(signal);
+
+        const session = this.sessions.get(uploadId);
+        if (!session) {
+            throw new Error('HTTP 404: Upload not found');
+        }
+
+        return this.toUpload(session);
+    }
+
+    async putChunk(uploadId, chunk, { start, end, signal, onProgress }) {
+        const session = this.sessions.get(uploadId);
+        if (!session) {
+            throw new Error('HTTP 404: Upload not found');
+        }
+
+        if (start !== session.offset) {
+            throw new Error(`HTTP 409: Expected offset ${session.offset}`);
+        }
+
+        await this.simulateTransfer(chunk.size, { signal, onProgress });
+
+        if (Math.random() < this.options.failureRate) {
+            throw new Error('Network error during upload');
+        }
+
+        session.parts.push(chunk);
+        session.offset = end;
+
+        if (session.offset >= session.size) {
+            session.url = URL.createObjectURL(new Blob(session.parts, { type: session.type }));
+            session.parts = [];
+        }
+
+        return this.toUpload(session);
+    }
+
+    simulateTransfer(bytes, { signal, onProgress }) {
+        const duration = (bytes / this.options.bytesPerSecond) * 1000;
+        const startedAt = performance.now();
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Upload aborted', 'AbortError'));
+                return;
+            }
+
+            const abort = () => {
+                clearInterval(timer);
+                reject(new DOMException('Upload aborted', 'AbortError'));
+            };
+
+            const timer = setInterval(() => {
+                const progress = Math.min(1, (performance.now() - startedAt) / duration);
+                onProgress(Math.round(bytes * progress));
+
+                if (progress >= 1) {
+                    clearInterval(timer);
+                    signal?.removeEventListener('abort', abort);
+                    resolve();
+                }
+            }, PROGRESS_INTERVAL);
+
+            signal?.addEventListener('abort', abort, { once: true });
+        });
+    }
+
+    toUpload(session) {
+        return {
+            id: session.id,
+            offset: session.offset,
+            size: session.size,
+            url: session.url
+        };
+    }
+
+    throwIfAborted(signal) {
+        if (signal?.aborted) {
+            throw new DOMException('Upload aborted', 'AbortError');
+        }
+    }
+}
+
+export { LocalUploadServer };
@@ -0,0 +1,348 @@
+class VirtualFeed {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            estimatedItemHeight: 600,
+            overscan: 2,
+            getKey: (item) => String(item.id),
+            renderItem: () => document.createElement('div'),
+            updateItem: null,
+            onMount: () => {},
+            onUnmount: () => {},
+            isRetained: () => false,
+            ...options
+        };
+
+        this.items = [];
+        this.indexes = new Map();
+        this.heights = new Map();
+        this.offsets = [0];
+        this.offsetsDirty = true;
+        this.mounted = new Map();
+        this.range = { start: 0, end: 0 };
+        this.frame = null;
+        this.abortController = new AbortController();
+
+        this.topSpacer = document.createElement('div');
+        this.bottomSpacer = document.createElement('div');
+        this.viewport = document.createElement('div');
+
+        this.topSpacer.className = 'virtual-spacer';
+        this.bottomSpacer.className = 'virtual-spacer';
+        this.viewport.className = 'virtual-viewport';
+
+        this.container.replaceChildren(this.topSpacer, this.viewport, this.bottomSpacer);
+
+        this.resizeObserver = new ResizeObserver((entries) => this.handleResize(entries));
+
+        window.addEventListener('scroll', () => this.scheduleUpdate(), {
+            passive: true,
+            signal: this.abortController.signal
+        });
+    }
+
+    setItems(items) {
+        const anchor = this.getScrollAnchor();
+
+        this.items = items;
+        this.indexes = new Map(items.map((item, index) => [this.options.getKey(item), index]));
+        this.offsetsDirty = true;
+
+        this.update();
+
+        if (anchor) {
+            this.restoreScrollAnchor(anchor);
+            this.update();
+        }
+    }
+
+    getScrollAnchor() {
+        if (!this.isVisible() || this.items.length === 0) return null;
+
+        const viewportTop = -this.container.getBoundingClientRect().top;
+        if (viewportTop <= 0) return null;
+
+        const index = this.findIndexAt(viewportTop);
+        return {
+            key: this.options.getKey(this.items[index]),
+            delta: viewportTop - this.getOffsets()[index]
+        };
+    }
+
+    restoreScrollAnchor({ key, delta }) {
+        const offset = this.getOffsetOf(key);
+        if (offset === null) return;
+
+        const feedTop = this.container.getBoundingClientRect().top + window.scrollY;
+        window.scrollTo(0, feedTop + offset + delta);
+    }
+
+    getItems() {
+        return this.items;
+    }
+
+    isVisible() {
+        return this.container.isConnected && this.container.getClientRects().length > 0;
+    }
+
+    scheduleUpdate() {
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    getEstimatedHeight() {
+        if (this.heights.size === 0) {
+            return this.options.estimatedItemHeight;
+        }
+
+        let total = 0;
+        this.heights.forEach(height => {
+            total += height;
+        });
+        return total / this.heights.size;
+    }
+
+    getOffsets() {
+        if (!this.offsetsDirty) return this.offsets;
+
+        const estimate = this.getEstimatedHeight();
+        const offsets = new Float64Array(this.items.length + 1);
+
+        for (let i = 0; i < this.items.length; i++) {
+            const key = this.options.getKey(this.items[i]);
+            offsets[i + 1] = offsets[i] + (this.heights.get(key) ?? estimate);
+        }
+
+        this.offsets = offsets;
+        this.offsetsDirty = false;
+        return offsets;
+    }
+
+    findIndexAt(offset) {
+        const offsets = this.getOffsets();
+        let low = 0;
+        let high = this.items.length - 1;
+
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (offsets[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return Math.max(0, low);
+    }
+
+    getVisibleRange() {
+        const feedTop = this.container.getBoundingClientRect().top;
+        const viewportTop = Math.max(0, -feedTop);
+        const viewportBottom = viewportTop + window.innerHeight;
+
+        const first = this.findIndexAt(viewportTop);
+        const last = this.findIndexAt(viewportBottom);
+
+        return {
+            start: Math.max(0, first - this.options.overscan),
+            end: Math.min(this.items.length, last + 1 + this.options.overscan)
+        };
+    }
+
+    update() {
+        if (!this.isVisible()) return;
+
+        const offsets = this.getOffsets();
+        const { start, end } = this.items.length > 0 ? this.getVisibleRange() : { start: 0, end: 0 };
+        const visibleKeys = new Set();
+
+        for (let i = start; i < end; i++) {
+            visibleKeys.add(this.options.getKey(this.items[i]));
+        }
+
+        this.mounted.forEach((entry, key) => {
+            if (visibleKeys.has(key)) return;
+
+            // Retained items stay in the document out of flow, e.g. a video that is playing picture-in-picture
+            if (this.options.isRetained(entry.content, entry.item)) {
+                this.park(entry);
+            } else {
+                this.unmount(key);
+            }
+        });
+
+        let previous = null;
+        for (let i = start; i < end; i++) {
+            const item = this.items[i];
+            const key = this.options.getKey(item);
+            let entry = this.mounted.get(key);
+
+            if (!entry) {
+                entry = this.mount(item, i);
+            } else {
+                if (entry.isParked) {
+                    this.unpark(entry);
+                }
+                if (entry.item !== item) {
+                    this.refresh(entry, item, i);
+                }
+            }
+
+            entry.element.dataset.index = i;
+
+            const expectedNext = previous ? previous.nextSibling : this.viewport.firstChild;
+            if (expectedNext !== entry.element) {
+                this.viewport.insertBefore(entry.element, expectedNext);
+            }
+
+            if (entry.isNew) {
+                entry.isNew = false;
+                this.options.onMount(entry.content, item, i);
+            }
+
+            previous = entry.element;
+        }
+
+        this.range = { start, end };
+        this.topSpacer.style.height = `${offsets[start]}px`;
+        this.bottomSpacer.style.height = `${offsets[this.items.length] - offsets[end]}px`;
+    }
+
+    mount(item, index) {
+        const key = this.options.getKey(item);
+        const element = document.createElement('div');
+        const content = this.options.renderItem(item, index);
+
+        element.className = 'virtual-item';
+        element.dataset.key = key;
+        element.appendChild(content);
+
+        const entry = { element, content, item, isNew: true, isParked: false };
+        this.mounted.set(key, entry);
+        this.resizeObserver.observe(element);
+
+        return entry;
+    }
+
+    refresh(entry, item, index) {
+        const previousItem = entry.item;
+        entry.item = item;
+
+        if (this.options.updateItem) {
+            this.options.updateItem(entry.content, item, index);
+            return;
+        }
+
+        // Without a patch hook the item is rendered again and goes through onMount like a new one
+        if (!entry.isNew) {
+            this.options.onUnmount(entry.content, previousItem);
+        }
+
+        const content = this.options.renderItem(item, index);
+        entry.element.replaceChild(content, entry.content);
+        entry.content = content;
+        entry.isNew = true;
+    }
+
+    park(entry) {
+        if (entry.isParked) return;
+
+        entry.isParked = true;
+        this.resizeObserver.unobserve(entry.element);
+        entry.element.classList.add('parked');
+    }
+
+    unpark(entry) {
+        entry.isParked = false;
+        entry.element.classList.remove('parked');
+        this.resizeObserver.observe(entry.element);
+    }
+
+    unmount(key) {
+        const entry = this.mounted.get(key);
+        if (!entry) return;
+
+        this.resizeObserver.unobserve(entry.element);
+        this.options.onUnmount(entry.content, entry.item);
+        entry.element.remove();
+        this.mounted.delete(key);
+    }
+
+    handleResize(entries) {
+        let scrollCorrection = 0;
+        let changed = false;
+
+        entries.forEach(entry => {
+            const key = entry.target.dataset.key;
+            const height = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+
+            // Hidden feeds report zero-sized boxes; keep the last real measurement
+            if (!height || !this.indexes.has(key)) return;
+
+            const previousHeight = this.heights.get(key) ?? this.getEstimatedHeight();
+            if (previousHeight === height) return;
+
+            if (entry.target.getBoundingClientRect().bottom <= 0) {
+                scrollCorrection += height - previousHeight;
+            }
+
+            this.heights.set(key, height);
+            changed = true;
+        });
+
+        if (!changed) return;
+
+        this.offsetsDirty = true;
+
+        if (scrollCorrection) {
+            window.scrollBy(0, scrollCorrection);
+        }
+
+        this.scheduleUpdate();
+    }
+
+    getElement(key) {
+        return this.mounted.get(key)?.content || null;
+    }
+
+    getOffsetOf(key) {
+        const index = this.indexes.get(key);
+        if (index === undefined) return null;
+
+        return this.getOffsets()[index];
+    }
+
+    getAdjacentKey(key, offset) {
+        const index = key === null ? -1 : this.indexes.get(key);
+        if (index === undefined) return null;
+
+        const item = this.items[index + offset];
+        return item ? this.options.getKey(item) : null;
+    }
+
+    scrollToKey(key, behavior = 'auto') {
+        const offset = this.getOffsetOf(key);
+        if (offset === null) return;
+
+        const feedTop = this.container.getBoundingClientRect().top + window.scrollY;
+        window.scrollTo({ top: feedTop + offset, behavior });
+    }
+
+    destroy() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+
+        Array.from(this.mounted.keys()).forEach(key => this.unmount(key));
+        this.resizeObserver.disconnect();
+        this.abortController.abort();
+        this.container.replaceChildren();
+    }
+}
+
+export { VirtualFeed };